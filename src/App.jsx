@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { isSessionValid, getSession, clearSession } from './utils/security';
-import { getDefaultHotelId } from './data/hotels';
+import { getDefaultHotelId, getHotelById } from './data/hotels';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import Settings from './components/Settings';
@@ -27,7 +27,8 @@ function App() {
       // セッションからホテルIDを復元
       if (isValid) {
         const session = getSession();
-        if (session?.hotelId) {
+        const sessionHotel = getHotelById(session?.hotelId);
+        if (sessionHotel && !sessionHotel.archived) {
           setSelectedHotelId(session.hotelId);
         }
       }
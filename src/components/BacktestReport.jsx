@@ -0,0 +1,190 @@
+import { useState, useEffect, useRef } from 'react';
+import { getDayuseData } from '../utils/storage';
+import { MIN_HISTORY_DAYS } from '../utils/backtest';
+import { createBacktestWorker, BACKTEST_CANCELLED } from '../utils/backtestWorkerClient';
+
+// 内訳の切り替え
+const BREAKDOWNS = {
+    byDayType: '曜日・祝日別',
+    byMonth: '月別',
+};
+
+/**
+ * 金額を符号付きで表示
+ * @param {number} value
+ * @returns {string}
+ */
+function formatSignedYen(value) {
+    const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+    return `${sign}¥${Math.abs(value).toLocaleString('ja-JP')}`;
+}
+
+/**
+ * 予測精度の検証コンポーネント（設定画面のデイユース予測内）
+ * - 過去の各日をその日より前のデータだけで予測し、実績との誤差を予測方法ごとに比較
+ *   （ワーカーで実行し、進捗の表示と中止ができる）
+ * - 全体と、曜日・祝日別 / 月別の内訳（誤差率が最も小さい方法を強調）
+ */
+function BacktestReport({ hotelId, halfLifeDays }) {
+    const [report, setReport] = useState(null);
+    const [breakdown, setBreakdown] = useState('byDayType');
+    const [isRunning, setIsRunning] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [message, setMessage] = useState({ type: '', text: '' });
+    const workerRef = useRef(null);
+
+    // 画面を離れたら検証を中止
+    useEffect(() => () => workerRef.current?.cancel(), []);
+
+    const handleRun = async () => {
+        setIsRunning(true);
+        setProgress(0);
+        setMessage({ type: '', text: '' });
+        workerRef.current?.cancel();
+        const worker = createBacktestWorker({ onProgress: setProgress });
+        workerRef.current = worker;
+        try {
+            const data = await getDayuseData(hotelId);
+            const results = await worker.compare(data, new Date().getFullYear(), halfLifeDays);
+            if (results.every(({ result }) => !result)) {
+                setReport(null);
+                setMessage({ type: 'error', text: `検証にはデイユースの実績が${MIN_HISTORY_DAYS + 1}日分以上必要です` });
+                return;
+            }
+            setReport({ results, halfLifeDays });
+        } catch (err) {
+            if (err.code === BACKTEST_CANCELLED) return;
+            console.error('Failed to run backtest', err);
+            setMessage({ type: 'error', text: `検証に失敗しました: ${err.message}` });
+        } finally {
+            // 中止・再実行で差し替えられていなければワーカーを停止
+            if (workerRef.current === worker) {
+                worker.cancel();
+                workerRef.current = null;
+                setIsRunning(false);
+            }
+        }
+    };
+
+    const handleAbort = () => {
+        workerRef.current?.cancel();
+        workerRef.current = null;
+        setIsRunning(false);
+    };
+
+    // 行ごとに誤差率（なければ誤差額）が最も小さい方法
+    const findBest = (rows) => {
+        const scored = rows.filter((row) => row);
+        if (scored.length < 2) return null;
+        const score = (row) => row.mape ?? row.mae;
+        return scored.reduce((best, row) => (score(row) < score(best) ? row : best));
+    };
+
+    const renderRow = (label, rows) => {
+        const best = findBest(rows);
+        return (
+            <tr key={label}>
+                <td>{label}</td>
+                {rows.map((row, index) => (
+                    <td key={report.results[index].method} className={row && row === best ? 'backtest-best' : ''}>
+                        {row ? (
+                            <>
+                                {row.mape !== null ? `${row.mape}%` : '—'}
+                                <span className="backup-range">
+                                    誤差 ¥{row.mae.toLocaleString('ja-JP')}・偏り {formatSignedYen(row.bias)}
+                                </span>
+                                <span className="backup-range">{row.days}日</span>
+                            </>
+                        ) : '—'}
+                    </td>
+                ))}
+            </tr>
+        );
+    };
+
+    // 内訳の行（方法ごとの結果を区分のキーでそろえる）
+    const breakdownRows = () => {
+        const keys = new Map();
+        report.results.forEach(({ result }) => {
+            result?.[breakdown].forEach((row) => keys.set(row.key, row.label));
+        });
+        return [...keys].map(([key, label]) => renderRow(
+            label,
+            report.results.map(({ result }) => result?.[breakdown].find((row) => row.key === key) || null)
+        ));
+    };
+
+    const overallBest = report && findBest(report.results.map(({ result }) => result?.overall || null));
+    const bestMethod = overallBest && report.results.find(({ result }) => result?.overall === overallBest);
+
+    return (
+        <div className="backtest-report">
+            <h4>予測精度の検証</h4>
+            <p className="room-type-hint">
+                過去の各日を、その日より前のデータだけで予測して実績と比べます。
+                誤差率（MAPE）が小さいほど精度の高い予測方法です。
+            </p>
+
+            <div className="data-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleRun} disabled={isRunning}>
+                    {isRunning ? '検証中…' : report ? '再検証' : '検証する'}
+                </button>
+                {report && (
+                    <select value={breakdown} onChange={(e) => setBreakdown(e.target.value)}>
+                        {Object.entries(BREAKDOWNS).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {isRunning && (
+                <div className="backtest-progress">
+                    <div className="backtest-progress-track">
+                        <div
+                            className="backtest-progress-bar"
+                            style={{ width: `${Math.round(progress * 100)}%` }}
+                        />
+                    </div>
+                    <div className="backtest-progress-footer">
+                        <span>検証中… {Math.round(progress * 100)}%</span>
+                        <button type="button" className="btn btn-secondary" onClick={handleAbort}>
+                            中止
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {message.text && (
+                <div className={`message ${message.type}`}>{message.text}</div>
+            )}
+
+            {report && (
+                <>
+                    {bestMethod && (
+                        <p className="backtest-summary">
+                            全体の誤差率が最も小さいのは「{bestMethod.label}」です
+                            （直近重視の半減期: {report.halfLifeDays}日）
+                        </p>
+                    )}
+                    <table className="backup-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                {report.results.map(({ method, label }) => (
+                                    <th key={method}>{label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {renderRow('全体', report.results.map(({ result }) => result?.overall || null))}
+                            {breakdownRows()}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default BacktestReport;
@@ -0,0 +1,348 @@
+import { useState, useRef } from 'react';
+import { importAllData } from '../utils/storage';
+import { getHotelById } from '../data/hotels';
+import { isEncryptedBackup, decryptBackup, DECRYPT_ERRORS } from '../utils/security';
+import {
+    BACKUP_SECTIONS,
+    RESTORE_MODES,
+    MIN_BACKUP_PASSPHRASE_LENGTH,
+    createBackupFile,
+    downloadBlob,
+    parseBackup,
+    summarizeBackup,
+} from '../utils/backup';
+
+/**
+ * バックアップ・復元コンポーネント（設定画面内）
+ * - 全データをJSONファイルとしてダウンロード（パスフレーズで暗号化可）
+ * - 暗号化バックアップの復号
+ * - バックアップファイルの検証・内容プレビュー
+ * - 項目ごとに上書き / 統合 / 取り込まないを選んで復元
+ */
+function BackupRestore({ onRestored }) {
+    const [backup, setBackup] = useState(null); // { fileName, data, summary }
+    const [modes, setModes] = useState({});
+    const [errors, setErrors] = useState([]);
+    const [message, setMessage] = useState({ type: '', text: '' });
+    const [isBusy, setIsBusy] = useState(false);
+    const fileInputRef = useRef(null);
+
+    // 暗号化（ダウンロード時）
+    const [encrypt, setEncrypt] = useState(false);
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+
+    // 復号待ちの暗号化バックアップ { fileName, text }
+    const [encryptedFile, setEncryptedFile] = useState(null);
+    const [restorePassphrase, setRestorePassphrase] = useState('');
+
+    // バックアップをダウンロード
+    const handleDownload = async () => {
+        setMessage({ type: '', text: '' });
+        if (encrypt) {
+            if (passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+                setMessage({
+                    type: 'error',
+                    text: `パスフレーズは${MIN_BACKUP_PASSPHRASE_LENGTH}文字以上で設定してください`,
+                });
+                return;
+            }
+            if (passphrase !== confirmPassphrase) {
+                setMessage({ type: 'error', text: 'パスフレーズが一致しません' });
+                return;
+            }
+        }
+
+        setIsBusy(true);
+        try {
+            const { blob, fileName } = await createBackupFile({ passphrase: encrypt ? passphrase : undefined });
+            downloadBlob(blob, fileName);
+            setPassphrase('');
+            setConfirmPassphrase('');
+            setMessage({
+                type: 'success',
+                text: encrypt ? '暗号化したバックアップをダウンロードしました' : 'バックアップをダウンロードしました',
+            });
+        } catch (err) {
+            setMessage({ type: 'error', text: `バックアップの作成に失敗しました: ${err.message}` });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    // 復元するファイルを読み込み
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setBackup(null);
+        setEncryptedFile(null);
+        setErrors([]);
+        setMessage({ type: '', text: '' });
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (err) {
+            console.error('Failed to read backup file', err);
+            setMessage({ type: 'error', text: `ファイルを読み込めませんでした: ${err.message}` });
+            return;
+        }
+        if (isEncryptedBackup(text)) {
+            setRestorePassphrase('');
+            setEncryptedFile({ fileName: file.name, text });
+            return;
+        }
+        loadBackup(file.name, text);
+    };
+
+    // 暗号化バックアップを復号
+    const handleDecrypt = async (e) => {
+        e.preventDefault();
+        setErrors([]);
+        setMessage({ type: '', text: '' });
+        setIsBusy(true);
+        try {
+            const text = await decryptBackup(encryptedFile.text, restorePassphrase);
+            setEncryptedFile(null);
+            loadBackup(encryptedFile.fileName, text);
+        } catch (err) {
+            if (err.code === DECRYPT_ERRORS.WRONG_PASSPHRASE) {
+                // 再入力できるよう復号待ちのまま
+                setMessage({ type: 'error', text: err.message });
+            } else {
+                setEncryptedFile(null);
+                setErrors([err.message]);
+            }
+        } finally {
+            setIsBusy(false);
+            setRestorePassphrase('');
+        }
+    };
+
+    // バックアップの内容を検証してプレビューを表示
+    const loadBackup = (fileName, text) => {
+        const result = parseBackup(text);
+        if (!result.data) {
+            setErrors(result.errors);
+            return;
+        }
+
+        const summary = summarizeBackup(result.data);
+        const initialModes = {};
+        Object.keys(BACKUP_SECTIONS).forEach((section) => {
+            initialModes[section] = summary.sections[section] ? 'merge' : 'skip';
+        });
+
+        setModes(initialModes);
+        setBackup({ fileName, data: result.data, summary, fromVersion: result.fromVersion });
+    };
+
+    // 復元を実行
+    const handleRestore = async () => {
+        if (Object.values(modes).every((mode) => mode === 'skip')) {
+            setMessage({ type: 'error', text: '取り込む項目を選択してください' });
+            return;
+        }
+        if (Object.values(modes).includes('overwrite')
+            && !window.confirm('「上書き」を選んだ項目は現在のデータが置き換えられます。復元しますか？')) {
+            return;
+        }
+
+        setIsBusy(true);
+        try {
+            await importAllData(backup.data, modes);
+            setBackup(null);
+            setMessage({ type: 'success', text: 'バックアップから復元しました' });
+            onRestored();
+        } catch (err) {
+            setMessage({ type: 'error', text: `復元に失敗しました（データは変更されていません）: ${err.message}` });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const formatRange = (range) => (range ? `${range.from} 〜 ${range.to}` : '—');
+
+    return (
+        <div className="card fade-in">
+            <div className="card-header">
+                <span className="icon">💾</span>
+                <span>バックアップと復元</span>
+            </div>
+
+            <label className="backup-encrypt-toggle">
+                <input
+                    type="checkbox"
+                    checked={encrypt}
+                    onChange={(e) => setEncrypt(e.target.checked)}
+                />
+                <span>パスフレーズで暗号化する</span>
+            </label>
+            {encrypt && (
+                <div className="backup-passphrase">
+                    <input
+                        type="password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder={`パスフレーズ（${MIN_BACKUP_PASSPHRASE_LENGTH}文字以上）`}
+                        autoComplete="new-password"
+                    />
+                    <input
+                        type="password"
+                        value={confirmPassphrase}
+                        onChange={(e) => setConfirmPassphrase(e.target.value)}
+                        placeholder="パスフレーズ（確認）"
+                        autoComplete="new-password"
+                    />
+                    <p className="room-type-hint">
+                        パスフレーズを忘れると復元できません。安全な場所に控えてください。
+                    </p>
+                </div>
+            )}
+
+            <div className="data-actions">
+                <button className="btn btn-primary" onClick={handleDownload} disabled={isBusy}>
+                    バックアップをダウンロード
+                </button>
+                <button
+                    className="btn btn-secondary"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={isBusy}
+                >
+                    バックアップから復元
+                </button>
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={handleFileChange}
+                    accept=".json,application/json"
+                    hidden
+                />
+            </div>
+
+            {encryptedFile && (
+                <form onSubmit={handleDecrypt} className="backup-passphrase mt-md">
+                    <div className="data-info">
+                        <span>🔒 {encryptedFile.fileName}</span>
+                        <span className="backup-meta">暗号化されたバックアップ</span>
+                    </div>
+                    <input
+                        type="password"
+                        value={restorePassphrase}
+                        onChange={(e) => setRestorePassphrase(e.target.value)}
+                        placeholder="パスフレーズ"
+                        autoComplete="off"
+                    />
+                    <div className="data-actions">
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => setEncryptedFile(null)}
+                            disabled={isBusy}
+                        >
+                            キャンセル
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={isBusy || !restorePassphrase}>
+                            復号
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {errors.length > 0 && (
+                <div className="message error mt-md">
+                    <p>バックアップファイルを読み込めませんでした</p>
+                    <ul className="backup-errors">
+                        {errors.map((error) => (
+                            <li key={error}>{error}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {backup && (
+                <div className="backup-preview">
+                    <div className="data-info">
+                        <span>{backup.fileName}</span>
+                        <span className="backup-meta">
+                            {backup.summary.exportedAt
+                                ? new Date(backup.summary.exportedAt).toLocaleString('ja-JP')
+                                : '作成日時不明'}
+                            {backup.fromVersion < backup.summary.schemaVersion && (
+                                <>（v{backup.fromVersion}から変換）</>
+                            )}
+                        </span>
+                    </div>
+
+                    <table className="backup-table">
+                        <thead>
+                            <tr>
+                                <th>ホテル</th>
+                                <th>デイユース</th>
+                                <th>宿泊予約</th>
+                                <th>当日入力</th>
+                                <th>月間目標</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {backup.summary.hotels.map((hotel) => (
+                                <tr key={hotel.id}>
+                                    <td>{hotel.name === hotel.id ? getHotelById(hotel.id)?.name || hotel.id : hotel.name}</td>
+                                    <td>
+                                        {hotel.dayuseCount}件
+                                        <span className="backup-range">{formatRange(hotel.dayuseRange)}</span>
+                                    </td>
+                                    <td>
+                                        {hotel.stayCount}件
+                                        <span className="backup-range">{formatRange(hotel.stayRange)}</span>
+                                    </td>
+                                    <td>
+                                        {hotel.dailyInputCount}日
+                                        <span className="backup-range">{formatRange(hotel.dailyInputRange)}</span>
+                                    </td>
+                                    <td>{hotel.monthlyTargetCount}ヶ月</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <div className="backup-sections">
+                        {Object.entries(BACKUP_SECTIONS).map(([section, label]) => (
+                            <div key={section} className="backup-section-row">
+                                <span>{label}</span>
+                                <select
+                                    value={modes[section]}
+                                    onChange={(e) => setModes((prev) => ({ ...prev, [section]: e.target.value }))}
+                                    disabled={!backup.summary.sections[section]}
+                                >
+                                    {Object.entries(RESTORE_MODES).map(([mode, modeLabel]) => (
+                                        <option key={mode} value={mode}>{modeLabel}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="data-actions">
+                        <button className="btn btn-secondary" onClick={() => setBackup(null)} disabled={isBusy}>
+                            キャンセル
+                        </button>
+                        <button className="btn btn-primary" onClick={handleRestore} disabled={isBusy}>
+                            復元を実行
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {message.text && (
+                <div className={`message ${message.type} mt-md`}>
+                    {message.text}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BackupRestore;
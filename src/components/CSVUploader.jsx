@@ -1,150 +1,239 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import {
+    IMPORT_TYPES,
+    suggestMapping,
+    getMissingFields,
+    findMatchingProfile,
+    getRejectionRate,
+} from '../utils/csvMapping';
+import { stringifyCSV } from '../utils/csv';
+import { ENCODINGS } from '../utils/encoding';
+import { ANOMALY_TYPES, ANOMALY_ACTIONS } from '../utils/anomalies';
+import { getHotelById } from '../data/hotels';
+import { createImportWorker, IMPORT_CANCELLED } from '../utils/importWorkerClient';
+import { downloadBlob } from '../utils/backup';
+import {
+    getCsvProfiles,
+    saveCsvProfile,
+    deleteCsvProfile,
+    getImportRejectLimit,
+    getImportSizeLimit,
+    getOtherHotelDayuseIds,
+} from '../utils/storage';
 import './CSVUploader.css';
 
-// ファイルサイズ制限（5MB）
-const MAX_FILE_SIZE = 5 * 1024 * 1024;
+// ファイルサイズの上限の理由（getImportSizeLimit の reason）
+const SIZE_LIMIT_LABELS = {
+    memory: '一度に読み込める上限',
+    quota: 'ブラウザの保存容量の空き',
+};
 
-// 必須列
-const REQUIRED_COLUMNS = ['id', 'date', 'price'];
+// 画面に表示する除外行の上限（すべての行はダウンロードで確認）
+const REJECTED_DISPLAY_LIMIT = 50;
+
+// 異常値の初期の扱い
+const DEFAULT_ANOMALY_ACTIONS = Object.fromEntries(
+    Object.entries(ANOMALY_TYPES).map(([type, { defaultAction }]) => [type, defaultAction])
+);
+
+/**
+ * ファイルサイズを表示用に整形
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`;
+    }
+    return `${Math.floor(bytes / 1024 / 1024)}MB`;
+}
 
 /**
  * CSVアップローダーコンポーネント
- * - ファイル選択・ドラッグ&ドロップ
- * - バリデーション（サイズ、形式、必須列）
- * - データパース
+ * - 取り込みの種類（デイユース / 宿泊予約）ごとの項目で取り込む
+ * - ファイル選択・ドラッグ&ドロップ（CSV / Excel）
+ * - バリデーション（サイズ、形式）。サイズの上限はブラウザの保存容量の空き
+ * - CSVは文字コードを自動判定（UTF-8 / Shift_JIS / EUC-JP、手動で変更可）
+ * - Excelは取り込むシートを選択
+ * - 列の対応付け（ホテルごとにプロファイルとして保存し、次回は自動適用）
+ * - データパース・プレビュー（除外・警告行の一覧、除外率が上限を超えたら取り込み不可）
+ * - デイユースは異常値（0円・マイナス・外れ値・未来日・他ホテルのID）ごとに扱いを選択
+ * 解析と検証は Web Worker で行い、進捗の表示と中止ができる
  */
-function CSVUploader({ onUploadComplete, onCancel }) {
+function CSVUploader({ hotelId, importType = 'dayuse', onUploadComplete, onCancel }) {
+    const importFields = IMPORT_TYPES[importType].fields;
     const [isDragging, setIsDragging] = useState(false);
     const [error, setError] = useState('');
-    const [preview, setPreview] = useState(null);
-    const [parsedData, setParsedData] = useState(null);
+    const [sizeLimit, setSizeLimit] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [loadedFile, setLoadedFile] = useState(null);
+    const [encoding, setEncoding] = useState('');
+    const [detectedEncoding, setDetectedEncoding] = useState('');
+    const [textPreview, setTextPreview] = useState('');
+    const [sheetNames, setSheetNames] = useState([]);
+    const [sheetName, setSheetName] = useState('');
+    const [source, setSource] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [summary, setSummary] = useState(null);
+    const [profiles, setProfiles] = useState(() => getCsvProfiles(hotelId, importType));
+    const [profileId, setProfileId] = useState('');
+    const [profileName, setProfileName] = useState('');
+    const [profileMessage, setProfileMessage] = useState('');
+    const [anomalyActions, setAnomalyActions] = useState(DEFAULT_ANOMALY_ACTIONS);
     const fileInputRef = useRef(null);
+    const workerRef = useRef(null);
+
+    // 取り込めるファイルサイズの上限（一度に読み込める上限と保存容量の空きの小さい方）
+    useEffect(() => {
+        let cancelled = false;
+        getImportSizeLimit().then((result) => {
+            if (!cancelled) setSizeLimit(result);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // 閉じたらワーカーを停止
+    useEffect(() => () => workerRef.current?.cancel(), []);
+
+    // 対応付けを変更したらワーカーで検証
+    const missingFields = source ? getMissingFields(mapping, source.headers, importType) : [];
+    useEffect(() => {
+        if (!source || getMissingFields(mapping, source.headers, importType).length > 0) return undefined;
+        let cancelled = false;
+        workerRef.current.map(mapping, importType).then(
+            (value) => {
+                if (!cancelled) setSummary({ source, mapping, ...value });
+            },
+            (err) => {
+                if (!cancelled && err.code !== IMPORT_CANCELLED) setError(err.message);
+            }
+        );
+        return () => {
+            cancelled = true;
+        };
+    }, [source, mapping, importType]);
 
-    // ファイルを処理
-    const processFile = (file) => {
-        setError('');
-        setPreview(null);
-        setParsedData(null);
+    // 現在の対応付けの検証結果（検証中はnull）
+    const result = summary && summary.source === source && summary.mapping === mapping ? summary : null;
+    const isValidating = Boolean(source) && missingFields.length === 0 && !result;
 
-        // ファイル形式チェック
-        if (!file.name.endsWith('.csv')) {
-            setError('CSVファイルを選択してください');
-            return;
-        }
+    // 除外率の上限チェック
+    const rejectLimit = getImportRejectLimit(hotelId);
+    const rejectionRate = result ? getRejectionRate(result.acceptedCount, result.rejected.length) : 0;
+    const isOverRejectLimit = rejectionRate * 100 > rejectLimit;
+    const warnedRowCount = result ? new Set(result.warnings.map((w) => w.line)).size : 0;
 
-        // ファイルサイズチェック
-        if (file.size > MAX_FILE_SIZE) {
-            setError('ファイルサイズは5MB以下にしてください');
-            return;
-        }
+    const canUpload = Boolean(result) && result.acceptedCount > 0 && !isOverRejectLimit && !isLoading;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const text = e.target.result;
-                const data = parseCSV(text);
-
-                if (data.length === 0) {
-                    setError('有効なデータがありませんでした');
-                    return;
-                }
-
-                setParsedData(data);
-                setPreview({
-                    fileName: file.name,
-                    rowCount: data.length,
-                    firstRow: data[0],
-                    lastRow: data[data.length - 1],
-                });
-            } catch (err) {
-                setError(err.message || 'CSVの解析に失敗しました');
+    // 時間のかかる処理を進捗付きで実行（中止された場合はエラーを表示しない）
+    const runTask = async (task) => {
+        setError('');
+        setProgress(0);
+        setIsLoading(true);
+        try {
+            await task();
+        } catch (err) {
+            if (err.code !== IMPORT_CANCELLED) {
+                setError(err.message || '読み込みに失敗しました');
             }
-        };
-        reader.onerror = () => {
-            setError('ファイルの読み込みに失敗しました');
-        };
-        reader.readAsText(file);
+        } finally {
+            setIsLoading(false);
+        }
     };
 
-    // CSV解析
-    const parseCSV = (text) => {
-        const lines = text.trim().split('\n');
-        if (lines.length < 2) {
-            throw new Error('ヘッダー行とデータ行が必要です');
-        }
+    // 新しいワーカーを起動（処理中のものは停止）
+    const startWorker = () => {
+        workerRef.current?.cancel();
+        workerRef.current = createImportWorker({ onProgress: setProgress });
+        return workerRef.current;
+    };
 
-        // ヘッダー行を解析
-        const headers = lines[0].split(',').map((h) => h.trim().toLowerCase());
+    // ファイルを処理
+    const processFile = (file) => {
+        setError('');
+        setLoadedFile(null);
+        setSheetNames([]);
+        setSource(null);
+        setProfileMessage('');
 
-        // 必須列チェック
-        const missingColumns = REQUIRED_COLUMNS.filter((col) => !headers.includes(col));
-        if (missingColumns.length > 0) {
-            throw new Error(`必須列がありません: ${missingColumns.join(', ')}`);
+        // ファイル形式チェック
+        const isExcel = /\.xlsx$/i.test(file.name);
+        if (!isExcel && !/\.csv$/i.test(file.name)) {
+            setError('CSVまたはExcel（.xlsx）ファイルを選択してください');
+            return;
         }
 
-        // データ行を解析
-        const data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
+        // ファイルサイズチェック（保存できる容量まで）
+        if (sizeLimit !== null && file.size > sizeLimit.limit) {
+            setError(`ファイルサイズが${SIZE_LIMIT_LABELS[sizeLimit.reason]}（${formatFileSize(sizeLimit.limit)}）を超えています`);
+            return;
+        }
 
-            const values = parseCSVLine(line);
-            if (values.length !== headers.length) {
-                console.warn(`行${i + 1}: 列数が一致しません`);
-                continue;
+        const worker = startWorker();
+        setLoadedFile({ file, name: file.name, isExcel });
+        runTask(async () => {
+            if (importType === 'dayuse') {
+                // 他のホテルとのID重複チェック用
+                await worker.setForeignIds(await getOtherHotelDayuseIds(hotelId));
             }
-
-            const row = {};
-            headers.forEach((header, index) => {
-                let value = values[index];
-
-                // 型変換
-                if (header === 'price' || header === 'duration_minutes') {
-                    value = parseInt(value) || 0;
-                }
-
-                row[header] = value;
-            });
-
-            // 日付の検証
-            if (!row.date || !isValidDate(row.date)) {
-                console.warn(`行${i + 1}: 無効な日付`);
-                continue;
+            if (isExcel) {
+                const opened = await worker.openXlsx(file);
+                setSheetNames(opened.sheetNames);
+                await loadSheet(worker, opened.sheetNames[0], file.name);
+            } else {
+                await loadCsv(worker, file, '');
             }
+        });
+    };
 
-            data.push(row);
-        }
-
-        return data;
+    // CSVを読み込む（encodingが空なら自動判定）
+    const loadCsv = async (worker, file, selectedEncoding) => {
+        const parsed = await worker.parseCsv(file, selectedEncoding || undefined);
+        setEncoding(parsed.encoding);
+        setDetectedEncoding(parsed.detectedEncoding);
+        setTextPreview(parsed.textPreview);
+        loadTable(parsed, file.name);
     };
 
-    // CSVの1行を解析（カンマ区切り、引用符対応）
-    const parseCSVLine = (line) => {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    // Excelのシートを読み込む
+    const loadSheet = async (worker, name, fileName) => {
+        setSheetName(name);
+        loadTable(await worker.readSheet(name), fileName);
+    };
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+    // 読み込んだ表を列の対応付けへ
+    const loadTable = ({ headers, rowCount, delimiter }, fileName) => {
+        // 列構成が合うプロファイルがあれば自動で適用
+        const matched = findMatchingProfile(profiles, headers, importType);
+        setMapping(matched ? matched.mapping : suggestMapping(headers, importType));
+        setProfileId(matched?.id || '');
+        setProfileName(matched?.name || '');
+        setSource({ fileName, headers, rowCount, delimiter });
+    };
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        result.push(current.trim());
+    // 文字コードを手動で変更
+    const handleEncodingChange = (value) => {
+        setEncoding(value);
+        setSource(null);
+        runTask(() => loadCsv(workerRef.current, loadedFile.file, value));
+    };
 
-        return result;
+    // シートを変更
+    const handleSheetChange = (name) => {
+        setSource(null);
+        runTask(() => loadSheet(workerRef.current, name, loadedFile.name));
     };
 
-    // 日付形式の検証
-    const isValidDate = (dateStr) => {
-        const date = new Date(dateStr);
-        return date instanceof Date && !isNaN(date);
+    // 読み込みを中止
+    const handleAbort = () => {
+        workerRef.current?.cancel();
+        workerRef.current = null;
+        setLoadedFile(null);
+        setSheetNames([]);
+        setSource(null);
     };
 
     // ドラッグイベント
@@ -176,18 +265,96 @@ function CSVUploader({ onUploadComplete, onCancel }) {
         }
     };
 
-    // アップロード確定
-    const handleConfirm = () => {
-        if (parsedData) {
-            onUploadComplete(parsedData);
+    // 列の対応付けを変更
+    const handleMappingChange = (fieldKey, column) => {
+        setMapping((prev) => {
+            const next = { ...prev };
+            if (column) {
+                next[fieldKey] = column;
+            } else {
+                delete next[fieldKey];
+            }
+            return next;
+        });
+        setProfileMessage('');
+    };
+
+    // プロファイルを選択
+    const handleProfileSelect = (id) => {
+        setProfileId(id);
+        setProfileMessage('');
+        const profile = profiles.find((p) => p.id === id);
+        if (profile) {
+            setMapping(profile.mapping);
+            setProfileName(profile.name);
+        } else {
+            setMapping(suggestMapping(source.headers, importType));
+            setProfileName('');
+        }
+    };
+
+    // 現在の対応付けをプロファイルとして保存
+    const handleProfileSave = async () => {
+        const name = profileName.trim();
+        if (!name) {
+            setProfileMessage('プロファイル名を入力してください');
+            return;
+        }
+        try {
+            const saved = await saveCsvProfile(hotelId, { importType, name, headers: source.headers, mapping });
+            setProfileId(saved.id);
+            setProfileMessage(`「${name}」を保存しました`);
+        } catch (err) {
+            setProfileMessage(`「${name}」を${err.message}`);
+        }
+        setProfiles(getCsvProfiles(hotelId, importType));
+    };
+
+    // 選択中のプロファイルを削除
+    const handleProfileDelete = async () => {
+        const profile = profiles.find((p) => p.id === profileId);
+        if (!profile || !window.confirm(`プロファイル「${profile.name}」を削除しますか？`)) return;
+        try {
+            await deleteCsvProfile(hotelId, profile.id);
+        } catch (err) {
+            setProfileMessage(`「${profile.name}」の削除に失敗しました: ${err.message}`);
+            return;
         }
+        setProfiles(getCsvProfiles(hotelId, importType));
+        setProfileId('');
+        setProfileName('');
+        setProfileMessage('');
+    };
+
+    // 除外行をCSVでダウンロード（元の列 + 除外理由。修正して再アップロードできる）
+    const handleRejectedDownload = () => {
+        const csv = stringifyCSV([
+            [...source.headers, '除外理由'],
+            ...result.rejected.map((row) => {
+                // 列が足りない行は空欄で埋め、除外理由の列をそろえる
+                const padding = Array(Math.max(0, source.headers.length - row.values.length)).fill('');
+                return [...row.values, ...padding, row.reason];
+            }),
+        ], source.delimiter);
+        const baseName = source.fileName.replace(/\.[^.]+$/, '');
+        // Excelで文字化けしないようBOMを付ける
+        downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv' }), `${baseName}_除外行.csv`);
+    };
+
+    // アップロード確定（取り込むデータをワーカーから受け取る）
+    const handleConfirm = () => {
+        if (!canUpload) return;
+        runTask(async () => {
+            const data = await workerRef.current.collect(mapping, importType, anomalyActions);
+            await onUploadComplete(data, { fileName: source.fileName });
+        });
     };
 
     return (
         <div className="csv-uploader-overlay">
             <div className="csv-uploader-modal">
                 <div className="modal-header">
-                    <h3>CSVアップロード</h3>
+                    <h3>{IMPORT_TYPES[importType].label}データのアップロード（CSV / Excel）</h3>
                     <button className="close-button" onClick={onCancel}>
                         ✕
                     </button>
@@ -206,16 +373,76 @@ function CSVUploader({ onUploadComplete, onCancel }) {
                             type="file"
                             ref={fileInputRef}
                             onChange={handleFileChange}
-                            accept=".csv"
+                            accept=".csv,.xlsx"
                             hidden
                         />
                         <div className="drop-zone-content">
                             <span className="drop-icon">📄</span>
                             <p>ファイルをドラッグ&ドロップ</p>
-                            <p className="drop-hint">またはクリックして選択</p>
+                            <p className="drop-hint">またはクリックして選択（CSV / Excel）</p>
                         </div>
                     </div>
 
+                    {/* シート選択（Excel） */}
+                    {sheetNames.length > 0 && (
+                        <div className="upload-preview">
+                            <h4>シート</h4>
+                            <div className="source-select">
+                                <select
+                                    value={sheetName}
+                                    onChange={(e) => handleSheetChange(e.target.value)}
+                                    disabled={isLoading}
+                                >
+                                    {sheetNames.map((name) => (
+                                        <option key={name} value={name}>{name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <p className="source-hint">1行目（空行を除く）を列名として読み込みます</p>
+                        </div>
+                    )}
+
+                    {/* 文字コード（CSV） */}
+                    {loadedFile && !loadedFile.isExcel && textPreview && (
+                        <div className="upload-preview">
+                            <h4>文字コード</h4>
+                            <div className="source-select">
+                                <select
+                                    value={encoding}
+                                    onChange={(e) => handleEncodingChange(e.target.value)}
+                                    disabled={isLoading}
+                                >
+                                    {ENCODINGS.map((option) => (
+                                        <option key={option.id} value={option.id}>
+                                            {option.label}
+                                            {option.id === detectedEncoding ? '（自動判定）' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <pre className="encoding-preview">{textPreview}</pre>
+                            <p className="source-hint">文字化けしている場合は文字コードを変更してください</p>
+                        </div>
+                    )}
+
+                    {/* 読み込みの進捗 */}
+                    {isLoading && (
+                        <div className="import-progress">
+                            <div className="import-progress-track">
+                                <div
+                                    className="import-progress-bar"
+                                    style={{ width: `${Math.round(progress * 100)}%` }}
+                                />
+                            </div>
+                            <div className="import-progress-footer">
+                                <span>読み込み中… {Math.round(progress * 100)}%</span>
+                                <button type="button" className="btn btn-secondary" onClick={handleAbort}>
+                                    中止
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
                     {/* エラー表示 */}
                     {error && (
                         <div className="upload-error">
@@ -223,36 +450,260 @@ function CSVUploader({ onUploadComplete, onCancel }) {
                         </div>
                     )}
 
-                    {/* プレビュー */}
-                    {preview && (
+                    {/* 列の対応付け */}
+                    {source && (
                         <div className="upload-preview">
-                            <h4>プレビュー</h4>
-                            <div className="preview-info">
-                                <div className="preview-row">
-                                    <span>ファイル名</span>
-                                    <span>{preview.fileName}</span>
-                                </div>
-                                <div className="preview-row">
-                                    <span>データ件数</span>
-                                    <span>{preview.rowCount}件</span>
-                                </div>
-                                <div className="preview-row">
-                                    <span>最初の日付</span>
-                                    <span>{preview.firstRow.date}</span>
-                                </div>
-                                <div className="preview-row">
-                                    <span>最後の日付</span>
-                                    <span>{preview.lastRow.date}</span>
-                                </div>
+                            <h4>列の対応付け（{source.fileName}）</h4>
+
+                            <div className="mapping-profile">
+                                <select
+                                    value={profileId}
+                                    onChange={(e) => handleProfileSelect(e.target.value)}
+                                >
+                                    <option value="">列名から自動推定</option>
+                                    {profiles.map((profile) => (
+                                        <option key={profile.id} value={profile.id}>
+                                            {profile.name}
+                                        </option>
+                                    ))}
+                                </select>
+                                {profileId && (
+                                    <button
+                                        type="button"
+                                        className="mapping-profile-delete"
+                                        onClick={handleProfileDelete}
+                                    >
+                                        削除
+                                    </button>
+                                )}
+                            </div>
+
+                            <div className="mapping-fields">
+                                {importFields.map((field) => (
+                                    <label key={field.key} className="mapping-field">
+                                        <span>
+                                            {field.label}
+                                            {field.required && <span className="mapping-required">必須</span>}
+                                        </span>
+                                        <select
+                                            value={mapping[field.key] || ''}
+                                            onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                        >
+                                            <option value="">（使用しない）</option>
+                                            {source.headers.map((header, index) => (
+                                                <option key={`${header}-${index}`} value={header}>
+                                                    {header}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+
+                            <div className="mapping-profile-save">
+                                <input
+                                    type="text"
+                                    value={profileName}
+                                    onChange={(e) => setProfileName(e.target.value)}
+                                    placeholder="プロファイル名（例: PMS日報）"
+                                    maxLength={30}
+                                />
+                                <button type="button" className="btn btn-secondary" onClick={handleProfileSave}>
+                                    保存
+                                </button>
                             </div>
+                            {profileMessage && <p className="mapping-message">{profileMessage}</p>}
+
+                            {missingFields.length > 0 && (
+                                <div className="upload-error">
+                                    必須項目を割り当ててください: {missingFields.map((f) => f.label).join('、')}
+                                </div>
+                            )}
+                            {isValidating && (
+                                <p className="import-validating">{source.rowCount.toLocaleString('ja-JP')}行を検証中…</p>
+                            )}
+                            {result && (
+                                <>
+                                    <div className="preview-info">
+                                        <div className="preview-row">
+                                            <span>取り込み件数</span>
+                                            <span>{result.acceptedCount.toLocaleString('ja-JP')}件</span>
+                                        </div>
+                                        <div className="preview-row">
+                                            <span>除外</span>
+                                            <span className={result.rejected.length > 0 ? 'count-rejected' : ''}>
+                                                {result.rejected.length}件
+                                                {result.rejected.length > 0 && `（${(rejectionRate * 100).toFixed(1)}%）`}
+                                            </span>
+                                        </div>
+                                        <div className="preview-row">
+                                            <span>警告</span>
+                                            <span className={warnedRowCount > 0 ? 'count-warned' : ''}>
+                                                {warnedRowCount}件
+                                            </span>
+                                        </div>
+                                        {result.acceptedCount > 0 && (
+                                            <div className="preview-row">
+                                                <span>期間</span>
+                                                <span>
+                                                    {result.firstDate} 〜 {result.lastDate}
+                                                </span>
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    {result.acceptedCount > 0 ? (
+                                        <table className="mapping-preview-table">
+                                            <thead>
+                                                <tr>
+                                                    {importFields.filter((f) => mapping[f.key]).map((field) => (
+                                                        <th key={field.key}>{field.label}</th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {result.preview.map((row, index) => (
+                                                    <tr key={index}>
+                                                        {importFields.filter((f) => mapping[f.key]).map((field) => (
+                                                            <td key={field.key}>{row[field.key]}</td>
+                                                        ))}
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    ) : (
+                                        <div className="upload-error">有効なデータがありませんでした</div>
+                                    )}
+
+                                    {isOverRejectLimit && (
+                                        <div className="upload-error">
+                                            除外率が上限（{rejectLimit}%）を超えているため取り込めません。
+                                            列の対応付けやファイルの内容を確認してください
+                                        </div>
+                                    )}
+
+                                    {result.rejected.length > 0 && (
+                                        <div className="import-report">
+                                            <div className="import-report-header">
+                                                <h4>除外された行</h4>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-secondary"
+                                                    onClick={handleRejectedDownload}
+                                                >
+                                                    CSVでダウンロード
+                                                </button>
+                                            </div>
+                                            <table className="mapping-preview-table">
+                                                <thead>
+                                                    <tr>
+                                                        <th>行</th>
+                                                        <th>内容</th>
+                                                        <th>理由</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {result.rejected.slice(0, REJECTED_DISPLAY_LIMIT).map((row) => (
+                                                        <tr key={row.line}>
+                                                            <td>{row.line}</td>
+                                                            <td className="raw-content">
+                                                                {stringifyCSV([row.values], source.delimiter).trim()}
+                                                            </td>
+                                                            <td>{row.reason}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                            {result.rejected.length > REJECTED_DISPLAY_LIMIT && (
+                                                <p className="import-report-more">
+                                                    ほか{result.rejected.length - REJECTED_DISPLAY_LIMIT}件（ダウンロードで確認できます）
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {result.warnings.length > 0 && (
+                                        <div className="import-report">
+                                            <h4>警告（取り込みます）</h4>
+                                            <ul className="import-warnings">
+                                                {result.warnings.slice(0, REJECTED_DISPLAY_LIMIT).map((warning, index) => (
+                                                    <li key={index}>
+                                                        {warning.line}行目: {warning.message}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            {result.warnings.length > REJECTED_DISPLAY_LIMIT && (
+                                                <p className="import-report-more">
+                                                    ほか{result.warnings.length - REJECTED_DISPLAY_LIMIT}件
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {result.anomalies?.length > 0 && (
+                                        <div className="import-report">
+                                            <h4>確認が必要なデータ</h4>
+                                            {result.anomalies.map((anomaly) => (
+                                                <div key={anomaly.type} className="anomaly-group">
+                                                    <div className="anomaly-header">
+                                                        <span>
+                                                            {ANOMALY_TYPES[anomaly.type].label}
+                                                            <span className="count-warned">{anomaly.count}件</span>
+                                                        </span>
+                                                        <select
+                                                            value={anomalyActions[anomaly.type]}
+                                                            onChange={(e) => setAnomalyActions((prev) => ({
+                                                                ...prev,
+                                                                [anomaly.type]: e.target.value,
+                                                            }))}
+                                                        >
+                                                            {Object.entries(ANOMALY_ACTIONS).map(([action, label]) => (
+                                                                <option key={action} value={action}>{label}</option>
+                                                            ))}
+                                                        </select>
+                                                    </div>
+                                                    {anomaly.hotelIds && (
+                                                        <p className="anomaly-hotels">
+                                                            登録先: {anomaly.hotelIds.map((id) => getHotelById(id)?.name || id).join('、')}
+                                                        </p>
+                                                    )}
+                                                    <ul className="import-warnings">
+                                                        {anomaly.examples.map((example) => (
+                                                            <li key={example.line}>
+                                                                {example.line}行目: {example.id} / {example.date} / ¥{example.price.toLocaleString('ja-JP')}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                    {anomaly.count > anomaly.examples.length && (
+                                                        <p className="import-report-more">
+                                                            ほか{anomaly.count - anomaly.examples.length}件
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            ))}
+                                            <p className="source-hint">
+                                                「予測に使わない」は取り込んで一覧には残し、売上予測の計算から外します
+                                            </p>
+                                        </div>
+                                    )}
+                                </>
+                            )}
                         </div>
                     )}
 
                     {/* CSV形式の説明 */}
                     <div className="csv-format-hint">
-                        <h4>CSV形式</h4>
-                        <code>id,date,duration_minutes,price,check_in,check_out</code>
-                        <p>必須列: id, date, price</p>
+                        <h4>ファイル形式</h4>
+                        <code>{importFields.map((field) => field.key).join(',')}</code>
+                        <p>
+                            必須: {importFields.filter((field) => field.required).map((field) => field.label).join('・')}
+                            （列名が異なる場合は読み込み後に対応付けできます）
+                        </p>
+                        <p>区切り文字: カンマ・タブ・セミコロン（自動判定）</p>
+                        <p>Excel（.xlsx）は同じ列構成のシートを選択してください。日付・金額の表示形式は自動で変換します</p>
+                        {sizeLimit !== null && (
+                            <p>ファイルサイズ: {formatFileSize(sizeLimit.limit)}まで（{SIZE_LIMIT_LABELS[sizeLimit.reason]}）</p>
+                        )}
                         <p className="merge-hint">※ 同一IDは上書き、新規IDは追加されます</p>
                     </div>
                 </div>
@@ -264,7 +715,7 @@ function CSVUploader({ onUploadComplete, onCancel }) {
                     <button
                         className="btn btn-primary"
                         onClick={handleConfirm}
-                        disabled={!parsedData}
+                        disabled={!canUpload}
                     >
                         アップロード
                     </button>
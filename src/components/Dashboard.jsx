@@ -1,94 +1,475 @@
-import { useState, useEffect, useMemo } from 'react';
-import { HOTELS, getHotelById } from '../data/hotels';
-import { getMonthlyTarget, getDailyInput, saveDailyInput, getDayuseData } from '../utils/storage';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getHotels, getHotelById, getRoomTypes } from '../data/hotels';
+import {
+    getMonthlyTarget,
+    getDailyInput,
+    saveDailyInput,
+    getMonthlyDailyInputs,
+    getPacingEnabled,
+    savePacingEnabled,
+    getDayWeights,
+    getPredictionSettings,
+    getDayuseData,
+    getStayData,
+    subscribeStorageChanges,
+} from '../utils/storage';
 import { refreshSession } from '../utils/security';
-import { predictDayuseRevenue, initializePrediction } from '../utils/prediction';
+import { predictDayuseRevenue, initializePrediction, buildArrivalModel, nowcastDayuse } from '../utils/prediction';
+import { calculateMinimumPrices } from '../utils/pricing';
+import { calculateDailyTargets } from '../utils/targets';
+import { summarizeStayNights, withImportedStays } from '../utils/stays';
+import { parseDate, addDays, getTodayStr } from '../utils/date';
 import './Dashboard.css';
 
+// 入力項目名（別タブとの競合表示用）
+const FIELD_LABELS = {
+    dayuseCount: 'デイユース組数',
+    dayuseAvgPrice: 'デイユース平均金額',
+    staySoldByType: '宿泊件数',
+    stayAvgPrice: '宿泊平均金額',
+};
+
+// 予約データから自動入力する項目
+const STAY_FIELDS = ['staySoldByType', 'stayAvgPrice'];
+
+/**
+ * 保存済みの当日入力を入力欄の値に変換
+ * 宿泊の件数・平均金額は、手入力がなければ予約データの値を使う
+ * @param {Object} saved - 当日入力データ
+ * @param {Array} roomTypes - 客室タイプ一覧
+ * @param {Object|null} importedStay - 予約データの集計（summarizeStayNights の1日分）
+ * @returns {Object} { values: { dayuseCount, dayuseAvgPrice, staySoldByType, stayAvgPrice }, prefilled: 予約データの値を使った項目 }
+ */
+function toFormValues(saved, roomTypes, importedStay) {
+    const prefilled = [];
+    let staySoldByType = {};
+    // タイプ別の入力がない旧データは、1タイプのホテルに限り合計件数を引き継ぐ
+    if (saved.staySoldByType) {
+        staySoldByType = saved.staySoldByType;
+    } else if (roomTypes.length === 1 && saved.stayCount != null) {
+        staySoldByType = { [roomTypes[0].id]: saved.stayCount };
+    } else if (importedStay && saved.stayCount == null) {
+        staySoldByType = importedStay.soldByType;
+        prefilled.push('staySoldByType');
+    }
+
+    let stayAvgPrice = saved.stayAvgPrice ?? '';
+    if (importedStay && saved.stayAvgPrice == null) {
+        stayAvgPrice = importedStay.avgPrice;
+        prefilled.push('stayAvgPrice');
+    }
+
+    return {
+        values: {
+            dayuseCount: saved.dayuseCount ?? '',
+            dayuseAvgPrice: saved.dayuseAvgPrice ?? '',
+            staySoldByType,
+            stayAvgPrice,
+        },
+        prefilled,
+    };
+}
+
+/**
+ * 入力欄の値が同じか比較（数値と文字列の違いは無視）
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameFieldValue(a, b) {
+    if (typeof a === 'object' || typeof b === 'object') {
+        const normalize = (value) => Object.entries(value || {})
+            .filter(([, v]) => v !== '' && v != null)
+            .map(([k, v]) => `${k}:${Number(v)}`)
+            .sort()
+            .join(',');
+        return normalize(a) === normalize(b);
+    }
+    return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * 現在時刻（0時からの分）
+ * @returns {number}
+ */
+function getNowMinutes() {
+    const now = new Date();
+    return now.getHours() * 60 + now.getMinutes();
+}
+
 /**
  * ダッシュボードコンポーネント
  * メイン画面：目標表示、予測表示、入力フォーム、最低金額表示
  */
 function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
-    const today = new Date();
-    const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD
-    const year = today.getFullYear();
-    const month = today.getMonth() + 1;
-    const daysInMonth = new Date(year, month, 0).getDate();
+    // 営業日（初期値は今日）
+    const todayStr = getTodayStr();
+    const [dateStr, setDateStr] = useState(todayStr); // YYYY-MM-DD
+    const targetDate = useMemo(() => parseDate(dateStr), [dateStr]);
+    const year = targetDate.getFullYear();
+    const month = targetDate.getMonth() + 1;
+
+    // 過去日は実績の読み返し、未来日は料金計画
+    const dateMode = dateStr < todayStr ? 'past' : dateStr > todayStr ? 'future' : 'today';
 
     // 入力状態
     const [dayuseCount, setDayuseCount] = useState('');
     const [dayuseAvgPrice, setDayuseAvgPrice] = useState('');
-    const [stayCount, setStayCount] = useState('');
+    const [staySoldByType, setStaySoldByType] = useState({});
     const [stayAvgPrice, setStayAvgPrice] = useState('');
-    const [holidaysLoaded, setHolidaysLoaded] = useState(false);
+    const [holidaysVersion, setHolidaysVersion] = useState(0); // 祝日のプリロードが完了するたびに更新
+    const [nowMinutes, setNowMinutes] = useState(getNowMinutes); // 当日のナウキャスト用の現在時刻
+    const [dayuseData, setDayuseData] = useState([]);
+    const [stayData, setStayData] = useState({ hotelId: null, reservations: [] });
+    const [prefilledFields, setPrefilledFields] = useState([]); // 予約データから自動入力中の項目
+
+    // タブ間同期：編集中（未保存）の項目と、別タブで同じ項目が更新された場合の値
+    const dirtyFieldsRef = useRef(new Set());
+    const formValuesRef = useRef({});
+    const [conflicts, setConflicts] = useState({});
+    const [saveError, setSaveError] = useState('');
+    const [, setStorageVersion] = useState(0);
+
+    // ホテル情報
+    const hotel = getHotelById(selectedHotelId);
+    const roomTypes = getRoomTypes(hotel);
+    const totalRooms = hotel?.rooms || 0;
+
+    // 項目名ごとのsetter（effectの依存に含めるためメモ化）
+    const fieldSetters = useMemo(() => ({
+        dayuseCount: setDayuseCount,
+        dayuseAvgPrice: setDayuseAvgPrice,
+        staySoldByType: setStaySoldByType,
+        stayAvgPrice: setStayAvgPrice,
+    }), []);
 
-    // 保存済みデータを読み込み
+    // 最新の入力値を保持（別タブの変更と比較するため）
     useEffect(() => {
-        const saved = getDailyInput(selectedHotelId, dateStr);
-        setDayuseCount(saved.dayuseCount ?? '');
-        setDayuseAvgPrice(saved.dayuseAvgPrice ?? '');
-        setStayCount(saved.stayCount ?? '');
-        setStayAvgPrice(saved.stayAvgPrice ?? '');
+        formValuesRef.current = { dayuseCount, dayuseAvgPrice, staySoldByType, stayAvgPrice };
+    }, [dayuseCount, dayuseAvgPrice, staySoldByType, stayAvgPrice]);
+
+    // 宿泊予約の日別集計（読み込み中は別ホテルのデータを使わない）
+    const stayNights = useMemo(() => (
+        stayData.hotelId === selectedHotelId
+            ? summarizeStayNights(stayData.reservations, getRoomTypes(hotel))
+            : new Map()
+    ), [stayData, selectedHotelId, hotel]);
+    const importedStay = stayNights.get(dateStr) || null;
+
+    // 保存済みデータを読み込み（宿泊の自動入力は下の予約データの反映で行う）
+    useEffect(() => {
+        const { values } = toFormValues(
+            getDailyInput(selectedHotelId, dateStr),
+            getRoomTypes(getHotelById(selectedHotelId)),
+            null
+        );
+        setDayuseCount(values.dayuseCount);
+        setDayuseAvgPrice(values.dayuseAvgPrice);
+        setStaySoldByType(values.staySoldByType);
+        setStayAvgPrice(values.stayAvgPrice);
+        setPrefilledFields([]);
+        dirtyFieldsRef.current = new Set();
+        setConflicts({});
     }, [selectedHotelId, dateStr]);
 
-    // セッションを更新（アクティビティ記録）& 祝日データをプリロード
+    // 予約データを手入力のない宿泊項目に反映（編集中の項目は上書きしない）
+    useEffect(() => {
+        const { values, prefilled } = toFormValues(
+            getDailyInput(selectedHotelId, dateStr),
+            getRoomTypes(getHotelById(selectedHotelId)),
+            importedStay
+        );
+        const cleanFields = STAY_FIELDS.filter((field) => !dirtyFieldsRef.current.has(field));
+        cleanFields.forEach((field) => fieldSetters[field](values[field]));
+        setPrefilledFields(prefilled.filter((field) => cleanFields.includes(field)));
+    }, [selectedHotelId, dateStr, importedStay, fieldSetters]);
+
+    // デイユース実績を読み込み（予測用）
+    const [dayuseReloadKey, setDayuseReloadKey] = useState(0);
+    useEffect(() => {
+        let cancelled = false;
+        getDayuseData(selectedHotelId).then((data) => {
+            if (!cancelled) setDayuseData(data);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedHotelId, dayuseReloadKey]);
+
+    // 宿泊予約を読み込み（宿泊件数・平均金額の自動入力用）
+    const [stayReloadKey, setStayReloadKey] = useState(0);
+    useEffect(() => {
+        let cancelled = false;
+        getStayData(selectedHotelId).then((reservations) => {
+            if (!cancelled) setStayData({ hotelId: selectedHotelId, reservations });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedHotelId, stayReloadKey]);
+
+    // 別タブでの変更を反映（編集中の項目は上書きせず、値が異なれば競合として表示）
+    useEffect(() => {
+        return subscribeStorageChanges((change) => {
+            if (change.source !== 'remote') return;
+
+            if (change.type === 'all' || (change.type === 'dayuse' && change.hotelId === selectedHotelId)) {
+                setDayuseReloadKey((prev) => prev + 1);
+            }
+            if (change.type === 'all' || (change.type === 'stay' && change.hotelId === selectedHotelId)) {
+                setStayReloadKey((prev) => prev + 1);
+            }
+
+            const isCurrentInput = change.type === 'dailyInput'
+                && change.hotelId === selectedHotelId && change.date === dateStr;
+            if (change.type === 'all' || isCurrentInput) {
+                const remote = toFormValues(
+                    getDailyInput(selectedHotelId, dateStr),
+                    getRoomTypes(getHotelById(selectedHotelId)),
+                    importedStay
+                );
+                const newConflicts = {};
+                Object.entries(remote.values).forEach(([field, value]) => {
+                    if (!dirtyFieldsRef.current.has(field)) {
+                        fieldSetters[field](value);
+                    } else if (!isSameFieldValue(value, formValuesRef.current[field])) {
+                        newConflicts[field] = value;
+                    }
+                });
+                setConflicts((prev) => ({ ...prev, ...newConflicts }));
+                setPrefilledFields((prev) => [
+                    ...prev.filter((field) => dirtyFieldsRef.current.has(field)),
+                    ...remote.prefilled.filter((field) => !dirtyFieldsRef.current.has(field)),
+                ]);
+            }
+
+            // 目標・ホテル一覧などはレンダリング時に読み込むため再描画
+            setStorageVersion((prev) => prev + 1);
+        });
+    }, [selectedHotelId, dateStr, importedStay, fieldSetters]);
+
+    // セッションを更新（アクティビティ記録）
     useEffect(() => {
         refreshSession();
-        initializePrediction(year).then(() => setHolidaysLoaded(true));
     }, [year]);
 
-    // ホテル情報
-    const hotel = getHotelById(selectedHotelId);
-    const totalRooms = hotel?.rooms || 0;
+    // 当日表示中は現在時刻を1分ごとに更新（ナウキャスト用）
+    useEffect(() => {
+        if (dateMode !== 'today') return undefined;
+        const timer = setInterval(() => setNowMinutes(getNowMinutes()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, [dateMode]);
+
+    // 祝日データをプリロード（対象年と過去データの年。日の種類の判定に使う）
+    useEffect(() => {
+        let cancelled = false;
+        initializePrediction(year, dayuseData).then(() => {
+            if (!cancelled) setHolidaysVersion((prev) => prev + 1);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [year, dayuseData]);
 
-    // 月間目標と日次目標
+    // 月間目標と日次目標（曜日・祝日配分 / ペース配分）
     const monthlyTarget = getMonthlyTarget(selectedHotelId, year, month);
-    const dailyTarget = monthlyTarget > 0 ? Math.round(monthlyTarget / daysInMonth) : 0;
-
-    // デイユース予測（新しい予測ロジックを使用）
-    const prediction = useMemo(() => {
-        const dayuseData = getDayuseData(selectedHotelId);
-        return predictDayuseRevenue(dayuseData, today);
-    }, [selectedHotelId, today, holidaysLoaded]);
-
-    // デイユース売上（入力値 or 予測値）
-    const dayuseRevenue = useMemo(() => {
-        const count = parseInt(dayuseCount) || 0;
-        const avgPrice = parseInt(dayuseAvgPrice) || 0;
-        if (count > 0 && avgPrice > 0) {
-            return count * avgPrice;
-        }
-        return prediction.revenue;
-    }, [dayuseCount, dayuseAvgPrice, prediction.revenue]);
+    const dayWeights = getDayWeights(selectedHotelId);
+    const pacingEnabled = getPacingEnabled(selectedHotelId);
+    // 宿泊の手入力がない日は予約データの実績を使う
+    const targets = calculateDailyTargets(
+        monthlyTarget,
+        dateStr,
+        withImportedStays(getMonthlyDailyInputs(selectedHotelId, year, month), stayNights, year, month),
+        dayWeights || undefined
+    );
+    const dailyTarget = pacingEnabled ? targets.pacedTarget : targets.flatTarget;
+
+    // ペース配分の切り替え
+    const handlePacingToggle = (e) => {
+        setSaveError('');
+        savePacingEnabled(selectedHotelId, e.target.checked).catch((err) => {
+            // 設定は保存前の値に戻るため再描画
+            setSaveError(`ペース配分の設定を${err.message}`);
+            setStorageVersion((prev) => prev + 1);
+        });
+        setStorageVersion((prev) => prev + 1);
+    };
+
+    // デイユース予測（予測方法はホテルごとの設定）と、当日の入室時刻の傾向
+    // どちらも日の種類の判定に祝日を使うため、祝日の読み込み後に作り直す
+    // （入室時刻の傾向は過去データ全体から作るため、入力や時刻の更新では作り直さない）
+    const { method: predictionMethod, halfLifeDays } = getPredictionSettings(selectedHotelId) || {};
+    const { prediction, arrivalModel } = useMemo(() => ({
+        prediction: predictDayuseRevenue(dayuseData, targetDate, { method: predictionMethod, halfLifeDays }),
+        arrivalModel: dateMode === 'today' ? buildArrivalModel(dayuseData, targetDate) : null,
+    }), [dayuseData, targetDate, holidaysVersion, predictionMethod, halfLifeDays, dateMode]);
+
+    // 当日は入力済みの件数と入室時刻の傾向から、閉店までの売上を予測
+    const enteredDayuseCount = parseInt(dayuseCount) || 0;
+    const nowcast = useMemo(() => {
+        if (!arrivalModel || enteredDayuseCount <= 0) return null;
+        return nowcastDayuse(arrivalModel, prediction, {
+            count: enteredDayuseCount,
+            avgPrice: parseInt(dayuseAvgPrice) || 0,
+            minutes: nowMinutes,
+        });
+    }, [arrivalModel, prediction, enteredDayuseCount, dayuseAvgPrice, nowMinutes]);
+
+    // デイユース売上（当日の見込み or 入力値 or 予測値）
+    const enteredDayuseRevenue = enteredDayuseCount * (parseInt(dayuseAvgPrice) || 0);
+    const dayuseRevenue = nowcast
+        ? nowcast.revenue
+        : enteredDayuseRevenue > 0 ? enteredDayuseRevenue : prediction.revenue;
+
+    // タイプ別販売済み室数（数値）
+    const soldByType = useMemo(() => {
+        const sold = {};
+        Object.entries(staySoldByType).forEach(([typeId, value]) => {
+            sold[typeId] = parseInt(value) || 0;
+        });
+        return sold;
+    }, [staySoldByType]);
+
+    // 宿泊件数（タイプ別の合計）
+    const stayCount = Object.values(soldByType).reduce((sum, count) => sum + count, 0);
 
     // 残り客室数
     const remainingRooms = useMemo(() => {
-        const stay = parseInt(stayCount) || 0;
-        return Math.max(1, totalRooms - stay); // 最低1室
+        return Math.max(1, totalRooms - stayCount); // 最低1室
     }, [totalRooms, stayCount]);
 
-    // 宿泊最低許容金額
+    // 必要売上
+    const requiredRevenue = dailyTarget > 0 ? Math.max(0, dailyTarget - dayuseRevenue) : 0;
+
+    // 宿泊最低許容金額（全客室平均）
     const minimumPrice = useMemo(() => {
-        if (dailyTarget <= 0) return 0;
-        const requiredRevenue = dailyTarget - dayuseRevenue;
         if (requiredRevenue <= 0) return 0;
         return Math.ceil(requiredRevenue / remainingRooms);
-    }, [dailyTarget, dayuseRevenue, remainingRooms]);
+    }, [requiredRevenue, remainingRooms]);
 
-    // 入力値を保存
+    // デイユースの予測の幅による最低許容金額の幅
+    // （デイユースを入力済み、または当日の見込みを使う場合は、1日分の予測の幅と合わないためなし）
+    // デイユースが楽観（P90）なら下限、悲観（P10）なら上限
+    const priceForDayuse = (revenue) => Math.ceil(Math.max(0, dailyTarget - revenue) / remainingRooms);
+    const minimumPriceRange = nowcast || enteredDayuseRevenue > 0 || !prediction.revenueRange || dailyTarget <= 0
+        ? null
+        : { low: priceForDayuse(prediction.revenueRange.p90), high: priceForDayuse(prediction.revenueRange.p10) };
+
+    // 客室タイプ別の最低許容金額
+    const typePrices = useMemo(() => {
+        return calculateMinimumPrices(requiredRevenue, roomTypes, soldByType).prices;
+    }, [requiredRevenue, roomTypes, soldByType]);
+
+    // 入力値を変更（保存するまで編集中として扱う。予約データの値は手入力で上書き）
+    const handleFieldChange = (field, value) => {
+        fieldSetters[field](value);
+        dirtyFieldsRef.current.add(field);
+        setPrefilledFields((prev) => prev.filter((f) => f !== field));
+    };
+
+    // タイプ別件数を変更
+    const handleStaySoldChange = (typeId, value) => {
+        setStaySoldByType((prev) => ({ ...prev, [typeId]: value }));
+        dirtyFieldsRef.current.add('staySoldByType');
+        setPrefilledFields((prev) => prev.filter((f) => f !== 'staySoldByType'));
+    };
+
+    // 宿泊の手入力を消して予約データの値に戻す
+    const handleUseImportedStay = () => {
+        const { values, prefilled } = toFormValues({}, roomTypes, importedStay);
+        STAY_FIELDS.forEach((field) => {
+            fieldSetters[field](values[field]);
+            dirtyFieldsRef.current.delete(field);
+        });
+        setPrefilledFields(prefilled);
+        setConflicts((prev) => {
+            const next = { ...prev };
+            STAY_FIELDS.forEach((field) => delete next[field]);
+            return next;
+        });
+        setSaveError('');
+        saveDailyInput(selectedHotelId, dateStr, { stayCount: null, staySoldByType: null, stayAvgPrice: null })
+            .catch((err) => setSaveError(`入力を${err.message}`));
+    };
+
+    // 変更した項目を保存（別タブの新しい値を上書きしないため変更した項目のみ）
+    const saveDirtyFields = (skipFields) => {
+        const dirtyFields = [...dirtyFieldsRef.current].filter((field) => !skipFields.includes(field));
+        if (dirtyFields.length === 0) return;
+
+        const hasStayInput = Object.values(staySoldByType).some((value) => value !== '');
+        const input = {};
+        if (dirtyFields.includes('dayuseCount')) {
+            input.dayuseCount = dayuseCount ? parseInt(dayuseCount) : null;
+        }
+        if (dirtyFields.includes('dayuseAvgPrice')) {
+            input.dayuseAvgPrice = dayuseAvgPrice ? parseInt(dayuseAvgPrice) : null;
+        }
+        if (dirtyFields.includes('staySoldByType')) {
+            input.stayCount = hasStayInput ? stayCount : null;
+            input.staySoldByType = hasStayInput ? soldByType : null;
+        }
+        if (dirtyFields.includes('stayAvgPrice')) {
+            input.stayAvgPrice = stayAvgPrice ? parseInt(stayAvgPrice) : null;
+        }
+
+        dirtyFields.forEach((field) => dirtyFieldsRef.current.delete(field));
+        setSaveError('');
+        saveDailyInput(selectedHotelId, dateStr, input).catch((err) => {
+            // 入力値は残し、次に入力欄を離れたときに保存し直す
+            dirtyFields.forEach((field) => dirtyFieldsRef.current.add(field));
+            setSaveError(`入力を${err.message}`);
+        });
+    };
+
+    // 入力値を保存（別タブとの競合が残っている項目は、どちらの値にするか選ぶまで保存しない）
     const handleSave = () => {
-        saveDailyInput(selectedHotelId, dateStr, {
-            dayuseCount: dayuseCount ? parseInt(dayuseCount) : null,
-            dayuseAvgPrice: dayuseAvgPrice ? parseInt(dayuseAvgPrice) : null,
-            stayCount: stayCount ? parseInt(stayCount) : null,
-            stayAvgPrice: stayAvgPrice ? parseInt(stayAvgPrice) : null,
+        saveDirtyFields(Object.keys(conflicts));
+    };
+
+    // 競合の表示を閉じる
+    const removeConflict = (field) => {
+        setConflicts((prev) => {
+            const next = { ...prev };
+            delete next[field];
+            return next;
         });
     };
 
+    // 自分の値を維持して保存
+    const handleDismissConflict = (field) => {
+        removeConflict(field);
+        saveDirtyFields(Object.keys(conflicts).filter((key) => key !== field));
+    };
+
+    // 別タブの値を採用（保存済みの値のため、自分の入力は保存しない）
+    const handleAcceptRemote = (field) => {
+        fieldSetters[field](conflicts[field]);
+        dirtyFieldsRef.current.delete(field);
+        removeConflict(field);
+    };
+
+    // 競合の表示値
+    const formatConflictValue = (field, value) => {
+        if (field === 'staySoldByType') {
+            const total = Object.values(value || {}).reduce((sum, v) => sum + (parseInt(v) || 0), 0);
+            return `${total}件`;
+        }
+        if (value === '' || value == null) return '空欄';
+        return field.endsWith('Price') ? `¥${Number(value).toLocaleString('ja-JP')}` : `${value}`;
+    };
+
     // 曜日名
     const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
-    const dayName = dayNames[today.getDay()];
+    const dayName = dayNames[targetDate.getDay()];
+
+    // 日付ラベル
+    const dateLabels = {
+        past: '過去日：実績の読み返し・修正',
+        today: '本日',
+        future: '未来日：料金計画',
+    };
+    const targetLabel = dateMode === 'today' ? '本日' : `${month}/${targetDate.getDate()}`;
 
     // 数値フォーマット
     const formatNumber = (num) => {
@@ -106,7 +487,7 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                             value={selectedHotelId}
                             onChange={(e) => onHotelChange(e.target.value)}
                         >
-                            {HOTELS.map((h) => (
+                            {getHotels().map((h) => (
                                 <option key={h.id} value={h.id}>
                                     {h.name}
                                 </option>
@@ -115,16 +496,53 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                     </div>
                 </header>
 
-                {/* 日付表示 */}
-                <div className="date-display">
-                    📅 {year}年{month}月{today.getDate()}日（{dayName}）
+                {/* 日付ナビゲーター */}
+                <div className="date-navigator">
+                    <button
+                        type="button"
+                        className="date-nav-button"
+                        onClick={() => setDateStr(addDays(dateStr, -1))}
+                        aria-label="前日"
+                    >
+                        ◀
+                    </button>
+                    <label className="date-display">
+                        📅 {year}年{month}月{targetDate.getDate()}日（{dayName}）
+                        <input
+                            type="date"
+                            className="date-picker"
+                            value={dateStr}
+                            onClick={(e) => e.target.showPicker?.()}
+                            onChange={(e) => e.target.value && setDateStr(e.target.value)}
+                        />
+                    </label>
+                    <button
+                        type="button"
+                        className="date-nav-button"
+                        onClick={() => setDateStr(addDays(dateStr, 1))}
+                        aria-label="翌日"
+                    >
+                        ▶
+                    </button>
+                </div>
+                <div className={`date-mode date-mode-${dateMode}`}>
+                    {dateLabels[dateMode]}
+                    {dateMode !== 'today' && (
+                        <button
+                            type="button"
+                            className="date-today-button"
+                            onClick={() => setDateStr(todayStr)}
+                        >
+                            今日に戻る
+                        </button>
+                    )}
                 </div>
 
                 {/* 目標カード */}
                 <div className="card fade-in">
                     <div className="card-header">
                         <span className="icon">📊</span>
-                        <span>本日の目標</span>
+                        <span>{targetLabel}の目標</span>
                     </div>
                     <div className="target-info">
                         <div className="target-row">
@@ -134,12 +552,36 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                             </span>
                         </div>
                         <div className="target-row">
-                            <span className="target-label">本日目標</span>
-                            <span className="target-value highlight">
-                                {dailyTarget > 0 ? `¥${formatNumber(dailyTarget)}` : '—'}
+                            <span className="target-label">{targetLabel}目標（{dayWeights ? '曜日配分' : '均等割'}）</span>
+                            <span className={`target-value ${pacingEnabled ? '' : 'highlight'}`}>
+                                {targets.flatTarget > 0 ? `¥${formatNumber(targets.flatTarget)}` : '—'}
+                            </span>
+                        </div>
+                        <div className="target-row">
+                            <span className="target-label">{targetLabel}目標（ペース配分）</span>
+                            <span className={`target-value ${pacingEnabled ? 'highlight' : ''}`}>
+                                {monthlyTarget > 0 ? `¥${formatNumber(targets.pacedTarget)}` : '—'}
                             </span>
                         </div>
+                        {monthlyTarget > 0 && (
+                            <div className="target-row">
+                                <span className="target-label">
+                                    月初からの差異（実績 ¥{formatNumber(targets.recordedRevenue)}）
+                                </span>
+                                <span className={`target-value ${targets.gap < 0 ? 'text-danger' : 'text-success'}`}>
+                                    {targets.gap >= 0 ? '+' : '−'}¥{formatNumber(Math.abs(targets.gap))}
+                                </span>
+                            </div>
+                        )}
                     </div>
+                    <label className="pacing-toggle">
+                        <input
+                            type="checkbox"
+                            checked={pacingEnabled}
+                            onChange={handlePacingToggle}
+                        />
+                        <span>ペース配分を最低金額の計算に使用（残り{targets.remainingDays}日）</span>
+                    </label>
                     {monthlyTarget === 0 && (
                         <p className="hint-text">
                             設定画面で月間目標を設定してください
@@ -163,9 +605,30 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                                 <span className="prediction-label">予測売上</span>
                                 <span className="prediction-value">¥{formatNumber(prediction.revenue)}</span>
                             </div>
+                            {prediction.revenueRange && (
+                                <div className="prediction-range">
+                                    <span>悲観 ¥{formatNumber(prediction.revenueRange.p10)}</span>
+                                    <span>中央 ¥{formatNumber(prediction.revenueRange.p50)}</span>
+                                    <span>楽観 ¥{formatNumber(prediction.revenueRange.p90)}</span>
+                                </div>
+                            )}
                             <p className="prediction-note">
                                 （{prediction.basis}）
                             </p>
+                            {nowcast && (
+                                <div className="nowcast">
+                                    <div className="prediction-row">
+                                        <span className="prediction-label">本日の見込み</span>
+                                        <span className="prediction-value">
+                                            {nowcast.count}組 / ¥{formatNumber(nowcast.revenue)}
+                                        </span>
+                                    </div>
+                                    <p className="prediction-note">
+                                        入力済み{enteredDayuseCount}組＋これから約{nowcast.remainingCount}組
+                                        （{nowcast.basis}）
+                                    </p>
+                                </div>
+                            )}
                         </div>
                     ) : (
                         <p className="hint-text">
@@ -178,9 +641,34 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                 <div className="card fade-in">
                     <div className="card-header">
                         <span className="icon">✏️</span>
-                        <span>当日実績入力</span>
+                        <span>{dateMode === 'future' ? '予定入力' : '当日実績入力'}</span>
                     </div>
 
+                    {saveError && (
+                        <div className="save-error">{saveError}</div>
+                    )}
+
+                    {Object.keys(conflicts).length > 0 && (
+                        <div className="sync-conflicts">
+                            {Object.entries(conflicts).map(([field, value]) => (
+                                <div key={field} className="sync-conflict">
+                                    <span>
+                                        別のタブで{FIELD_LABELS[field]}が{formatConflictValue(field, value)}に更新されました
+                                    </span>
+                                    {/* 押しても入力欄のフォーカスを外さず、続けて入力できるようにする */}
+                                    <div className="sync-conflict-actions" onMouseDown={(e) => e.preventDefault()}>
+                                        <button type="button" onClick={() => handleAcceptRemote(field)}>
+                                            反映する
+                                        </button>
+                                        <button type="button" onClick={() => handleDismissConflict(field)}>
+                                            入力を維持
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="input-section">
                         <div className="input-label">デイユース（組数 × 平均金額）</div>
                         <div className="input-row">
@@ -188,7 +676,7 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                                 <input
                                     type="number"
                                     value={dayuseCount}
-                                    onChange={(e) => setDayuseCount(e.target.value)}
+                                    onChange={(e) => handleFieldChange('dayuseCount', e.target.value)}
                                     onBlur={handleSave}
                                     placeholder="0"
                                     min="0"
@@ -201,7 +689,7 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                                 <input
                                     type="number"
                                     value={dayuseAvgPrice}
-                                    onChange={(e) => setDayuseAvgPrice(e.target.value)}
+                                    onChange={(e) => handleFieldChange('dayuseAvgPrice', e.target.value)}
                                     onBlur={handleSave}
                                     placeholder="0"
                                     min="0"
@@ -212,25 +700,72 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
 
                     <div className="input-section">
                         <div className="input-label">宿泊（任意：件数 × 平均金額）</div>
-                        <div className="input-row">
-                            <div className="input-group">
-                                <input
-                                    type="number"
-                                    value={stayCount}
-                                    onChange={(e) => setStayCount(e.target.value)}
-                                    onBlur={handleSave}
-                                    placeholder="0"
-                                    min="0"
-                                />
-                                <span className="input-suffix">件</span>
+                        {importedStay && (
+                            <div className="stay-import-note">
+                                <span>
+                                    予約データ：{importedStay.rooms}室・平均¥{formatNumber(importedStay.avgPrice)}
+                                    （{importedStay.reservationCount}件の予約）
+                                </span>
+                                {prefilledFields.length === STAY_FIELDS.length ? (
+                                    <span className="stay-import-status">自動入力中</span>
+                                ) : (
+                                    <button type="button" onClick={handleUseImportedStay}>
+                                        予約データに戻す
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                        {importedStay?.unassignedRooms > 0 && (
+                            <p className="hint-text">
+                                客室タイプを判別できない{importedStay.unassignedRooms}室は件数に含まれていません
+                            </p>
+                        )}
+                        {roomTypes.length > 1 && (
+                            <div className="room-type-inputs">
+                                {roomTypes.map((type) => (
+                                    <div key={type.id} className="room-type-input-row">
+                                        <span className="room-type-name">{type.name}</span>
+                                        <div className="input-group">
+                                            <input
+                                                type="number"
+                                                value={staySoldByType[type.id] ?? ''}
+                                                onChange={(e) => handleStaySoldChange(type.id, e.target.value)}
+                                                onBlur={handleSave}
+                                                placeholder="0"
+                                                min="0"
+                                                max={type.count}
+                                            />
+                                            <span className="input-suffix">/ {type.count}室</span>
+                                        </div>
+                                    </div>
+                                ))}
                             </div>
+                        )}
+                        <div className="input-row">
+                            {roomTypes.length > 1 ? (
+                                <div className="input-total">
+                                    計 {stayCount}件
+                                </div>
+                            ) : (
+                                <div className="input-group">
+                                    <input
+                                        type="number"
+                                        value={staySoldByType[roomTypes[0]?.id] ?? ''}
+                                        onChange={(e) => handleStaySoldChange(roomTypes[0]?.id, e.target.value)}
+                                        onBlur={handleSave}
+                                        placeholder="0"
+                                        min="0"
+                                    />
+                                    <span className="input-suffix">件</span>
+                                </div>
+                            )}
                             <span className="input-separator">×</span>
                             <div className="input-group">
                                 <span className="input-prefix">¥</span>
                                 <input
                                     type="number"
                                     value={stayAvgPrice}
-                                    onChange={(e) => setStayAvgPrice(e.target.value)}
+                                    onChange={(e) => handleFieldChange('stayAvgPrice', e.target.value)}
                                     onBlur={handleSave}
                                     placeholder="0"
                                     min="0"
@@ -251,9 +786,32 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                         <div className="highlight-value">
                             {minimumPrice > 0 ? `¥${formatNumber(minimumPrice)}` : '—'}
                         </div>
-                        <div className="highlight-label">/室</div>
+                        <div className="highlight-label">
+                            {roomTypes.length > 1 ? '/室（全客室平均）' : '/室'}
+                        </div>
+                        {minimumPriceRange && minimumPriceRange.low !== minimumPriceRange.high && (
+                            <div className="highlight-range">
+                                デイユース次第で ¥{formatNumber(minimumPriceRange.low)} 〜 ¥{formatNumber(minimumPriceRange.high)}
+                            </div>
+                        )}
                     </div>
 
+                    {roomTypes.length > 1 && (
+                        <div className="type-price-list">
+                            {typePrices.map((type) => (
+                                <div key={type.id} className="type-price-row">
+                                    <span className="type-price-name">
+                                        {type.name}
+                                        <span className="type-price-rooms">残{type.remaining}室</span>
+                                    </span>
+                                    <span className="type-price-value">
+                                        {type.remaining === 0 ? '満室' : type.price > 0 ? `¥${formatNumber(type.price)}` : '—'}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="result-details">
                         <div className="detail-row">
                             <span>残り客室数</span>
@@ -261,10 +819,10 @@ function Dashboard({ selectedHotelId, onHotelChange, onNavigateToSettings }) {
                         </div>
                         <div className="detail-row">
                             <span>必要売上</span>
-                            <span>¥{formatNumber(Math.max(0, dailyTarget - dayuseRevenue))}</span>
+                            <span>¥{formatNumber(requiredRevenue)}</span>
                         </div>
                         <div className="detail-row">
-                            <span>デイユース売上</span>
+                            <span>デイユース売上{nowcast && '（本日の見込み）'}</span>
                             <span>¥{formatNumber(dayuseRevenue)}</span>
                         </div>
                     </div>
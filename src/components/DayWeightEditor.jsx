@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { getDayWeights, saveDayWeights, getDayuseData } from '../utils/storage';
+import { EVEN_DAY_WEIGHTS, deriveDayWeights } from '../utils/targets';
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 目標配分設定コンポーネント（設定画面内）
+ * - 曜日・祝日別の配分係数を手入力
+ * - 過去のデイユース実績から係数を算出
+ * - 均等割に戻す
+ */
+function DayWeightEditor({ hotel }) {
+    // 入力中の値は文字列で保持（weekdays: 7件、holiday: 1件）
+    const toDraft = (weights) => ({
+        weekdays: weights.weekdays.map(String),
+        holiday: String(weights.holiday),
+    });
+    const [draft, setDraft] = useState(() => toDraft(getDayWeights(hotel.id) || EVEN_DAY_WEIGHTS));
+    const [isCustom, setIsCustom] = useState(() => getDayWeights(hotel.id) !== null);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    const handleWeekdayChange = (dow, value) => {
+        setDraft((prev) => ({
+            ...prev,
+            weekdays: prev.weekdays.map((w, i) => (i === dow ? value : w)),
+        }));
+        setMessage({ type: '', text: '' });
+    };
+
+    const handleHolidayChange = (value) => {
+        setDraft((prev) => ({ ...prev, holiday: value }));
+        setMessage({ type: '', text: '' });
+    };
+
+    // 係数を保存
+    const handleSave = async () => {
+        const weights = {
+            weekdays: draft.weekdays.map((w) => parseFloat(w)),
+            holiday: parseFloat(draft.holiday),
+        };
+        const values = [...weights.weekdays, weights.holiday];
+        if (values.some((w) => !Number.isFinite(w) || w < 0) || values.every((w) => w === 0)) {
+            setMessage({ type: 'error', text: '係数は0以上の数値で入力してください' });
+            return;
+        }
+
+        try {
+            await saveDayWeights(hotel.id, weights);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+        setIsCustom(true);
+        setMessage({ type: 'success', text: '目標配分を保存しました' });
+    };
+
+    // 過去データから算出（保存は確認後）
+    const handleDerive = async () => {
+        const weights = await deriveDayWeights(await getDayuseData(hotel.id));
+        if (!weights) {
+            setMessage({ type: 'error', text: '係数を算出できるデイユースデータがありません' });
+            return;
+        }
+        setDraft(toDraft(weights));
+        setMessage({ type: 'success', text: '過去データから算出しました。確認して保存してください' });
+    };
+
+    // 均等割に戻す
+    const handleReset = async () => {
+        try {
+            await saveDayWeights(hotel.id, null);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+        setDraft(toDraft(EVEN_DAY_WEIGHTS));
+        setIsCustom(false);
+        setMessage({ type: 'success', text: '均等割に戻しました' });
+    };
+
+    return (
+        <div className="card fade-in">
+            <div className="card-header">
+                <span className="icon">📅</span>
+                <span>{hotel.name} の目標配分</span>
+            </div>
+
+            <div className="weights-grid">
+                {DAY_NAMES.map((name, dow) => (
+                    <div key={name} className="weight-item">
+                        <label>{name}</label>
+                        <input
+                            type="number"
+                            value={draft.weekdays[dow]}
+                            onChange={(e) => handleWeekdayChange(dow, e.target.value)}
+                            min="0"
+                            step="0.1"
+                        />
+                    </div>
+                ))}
+                <div className="weight-item">
+                    <label>祝日</label>
+                    <input
+                        type="number"
+                        value={draft.holiday}
+                        onChange={(e) => handleHolidayChange(e.target.value)}
+                        min="0"
+                        step="0.1"
+                    />
+                </div>
+            </div>
+
+            <p className="room-type-hint">
+                月間目標を係数に比例して各日に配分します（現在：{isCustom ? '曜日配分' : '均等割'}）。
+            </p>
+
+            {message.text && (
+                <div className={`message ${message.type} mb-md`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="data-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleDerive}>
+                    過去データから算出
+                </button>
+                {isCustom && (
+                    <button type="button" className="btn btn-secondary" onClick={handleReset}>
+                        均等割に戻す
+                    </button>
+                )}
+                <button type="button" className="btn btn-primary" onClick={handleSave}>
+                    保存
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default DayWeightEditor;
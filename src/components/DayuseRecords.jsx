@@ -0,0 +1,459 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    getDayuseData,
+    updateDayuseRecord,
+    deleteDayuseRecords,
+    deleteDayuseDataInRange,
+    setDayuseExcludeFromPrediction,
+    subscribeStorageChanges,
+} from '../utils/storage';
+import { normalizeDate, normalizeNumber } from '../utils/csvMapping';
+
+// 1ページに表示する件数
+const PAGE_SIZE = 50;
+
+// 並べ替えできる項目
+const SORT_COLUMNS = {
+    date: '利用日',
+    price: '金額',
+    duration_minutes: '利用時間',
+};
+
+const EMPTY_FILTERS = {
+    startDate: '',
+    endDate: '',
+    minPrice: '',
+    maxPrice: '',
+    minDuration: '',
+    maxDuration: '',
+};
+
+/**
+ * 範囲の条件に合うか（空欄の条件は判定しない）
+ * @param {number|string} value
+ * @param {number|string} min
+ * @param {number|string} max
+ * @returns {boolean}
+ */
+function inRange(value, min, max) {
+    return (min === '' || value >= min) && (max === '' || value <= max);
+}
+
+/**
+ * 数値の条件を変換（入力は文字列）
+ * @param {string} bound
+ * @returns {number|string} 空欄の場合は空文字
+ */
+function toNumberBound(bound) {
+    return bound === '' ? '' : Number(bound);
+}
+
+/**
+ * 絞り込み条件で予約を絞り込む
+ * @param {Array} records - デイユースデータ
+ * @param {Object} filters - EMPTY_FILTERS と同じ形
+ * @returns {Array}
+ */
+function filterRecords(records, filters) {
+    return records.filter((record) => (
+        inRange(record.date, filters.startDate, filters.endDate)
+        && inRange(record.price, toNumberBound(filters.minPrice), toNumberBound(filters.maxPrice))
+        && inRange(record.duration_minutes ?? 0, toNumberBound(filters.minDuration), toNumberBound(filters.maxDuration))
+    ));
+}
+
+/**
+ * 編集中の値を検証して保存する変更内容に変換
+ * @param {Object} record - 編集前のデータ
+ * @param {Object} draft - 入力中の値（文字列）
+ * @returns {{ changes: Object }|{ error: string }}
+ */
+function toChanges(record, draft) {
+    const date = normalizeDate(draft.date);
+    if (!date) {
+        return { error: '利用日を正しく入力してください' };
+    }
+    const price = normalizeNumber(draft.price);
+    if (price === null) {
+        return { error: '金額を数値で入力してください' };
+    }
+    const changes = { date, price };
+
+    if (draft.duration_minutes !== '' || 'duration_minutes' in record) {
+        const duration = draft.duration_minutes === '' ? 0 : normalizeNumber(draft.duration_minutes);
+        if (duration === null || duration < 0) {
+            return { error: '利用時間を0以上の数値で入力してください' };
+        }
+        changes.duration_minutes = duration;
+    }
+    ['check_in', 'check_out'].forEach((key) => {
+        if (draft[key].trim() !== '' || key in record) {
+            changes[key] = draft[key].trim();
+        }
+    });
+    return { changes };
+}
+
+/**
+ * デイユースデータ一覧コンポーネント（設定画面のデイユースデータ内）
+ * - 利用日・金額・利用時間での絞り込みと並べ替え、ページ送り
+ * - 予約ごとの編集・削除、期間を指定した削除
+ * - 予測に使わない予約の指定（取り込み時の指定も変更できる）
+ */
+function DayuseRecords({ hotelId, onChanged }) {
+    const [records, setRecords] = useState([]);
+    const [recordsVersion, setRecordsVersion] = useState(0);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState({ key: 'date', descending: true });
+    const [page, setPage] = useState(0);
+    const [editing, setEditing] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    // データを読み込み
+    useEffect(() => {
+        let cancelled = false;
+        getDayuseData(hotelId).then((data) => {
+            if (!cancelled) setRecords(data);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [hotelId, recordsVersion]);
+
+    // 編集・取り込み・削除（別タブを含む）で読み直す
+    useEffect(() => {
+        return subscribeStorageChanges((change) => {
+            if (change.type === 'all' || (change.type === 'dayuse' && change.hotelId === hotelId)) {
+                setRecordsVersion((prev) => prev + 1);
+            }
+        });
+    }, [hotelId]);
+
+    const filtered = useMemo(() => {
+        const direction = sort.descending ? -1 : 1;
+        return filterRecords(records, filters).sort((a, b) => {
+            const valueA = a[sort.key] ?? 0;
+            const valueB = b[sort.key] ?? 0;
+            if (valueA === valueB) return a.id < b.id ? -1 : 1;
+            return (valueA < valueB ? -1 : 1) * direction;
+        });
+    }, [records, filters, sort]);
+
+    const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRecords = filtered.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+    const canDeleteRange = Boolean(filters.startDate && filters.endDate && filters.startDate <= filters.endDate);
+
+    // 保存処理を実行（失敗時はメッセージを表示）
+    const runSave = async (task, successText) => {
+        setIsSaving(true);
+        setMessage({ type: '', text: '' });
+        try {
+            const text = await task();
+            setMessage({ type: 'success', text: text || successText });
+            onChanged?.();
+        } catch (err) {
+            console.error('Failed to update dayuse data', err);
+            setMessage({ type: 'error', text: `保存に失敗しました: ${err.message}` });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleFilterChange = (key, value) => {
+        setFilters((prev) => ({ ...prev, [key]: value }));
+        setPage(0);
+    };
+
+    const handleSort = (key) => {
+        setSort((prev) => ({ key, descending: prev.key === key ? !prev.descending : true }));
+        setPage(0);
+    };
+
+    const handleEdit = (record) => {
+        setEditing({
+            id: record.id,
+            date: record.date,
+            price: String(record.price),
+            duration_minutes: record.duration_minutes === undefined ? '' : String(record.duration_minutes),
+            check_in: record.check_in ?? '',
+            check_out: record.check_out ?? '',
+        });
+        setMessage({ type: '', text: '' });
+    };
+
+    const handleEditChange = (key, value) => {
+        setEditing((prev) => ({ ...prev, [key]: value }));
+    };
+
+    const handleEditSave = (record) => {
+        const result = toChanges(record, editing);
+        if (result.error) {
+            setMessage({ type: 'error', text: result.error });
+            return;
+        }
+        runSave(async () => {
+            await updateDayuseRecord(hotelId, record.id, result.changes);
+            setEditing(null);
+        }, `予約 ${record.id} を更新しました`);
+    };
+
+    const handleDelete = (record) => {
+        if (!window.confirm(`予約 ${record.id}（${record.date}）を削除しますか？`)) return;
+        runSave(() => deleteDayuseRecords(hotelId, [record.id]), `予約 ${record.id} を削除しました`);
+    };
+
+    const handleDeleteRange = () => {
+        const { startDate, endDate } = filters;
+        const count = records.filter((record) => record.date >= startDate && record.date <= endDate).length;
+        if (!window.confirm(`${startDate}〜${endDate}のデータ${count}件をすべて削除しますか？\n金額・利用時間の絞り込みに関係なく、期間内のデータが削除されます。`)) return;
+        runSave(async () => {
+            const deleted = await deleteDayuseDataInRange(hotelId, startDate, endDate);
+            return `${startDate}〜${endDate}のデータ${deleted}件を削除しました`;
+        });
+    };
+
+    const handleExcludeChange = (ids, exclude) => {
+        runSave(
+            () => setDayuseExcludeFromPrediction(hotelId, ids, exclude),
+            `${ids.length}件を予測に${exclude ? '使わない' : '使う'}ように変更しました`
+        );
+    };
+
+    return (
+        <div className="dayuse-records">
+            <h4>データ一覧</h4>
+
+            <div className="dayuse-filters">
+                <label>
+                    <span>利用日</span>
+                    <input
+                        type="date"
+                        value={filters.startDate}
+                        onChange={(e) => handleFilterChange('startDate', e.target.value)}
+                    />
+                    〜
+                    <input
+                        type="date"
+                        value={filters.endDate}
+                        onChange={(e) => handleFilterChange('endDate', e.target.value)}
+                    />
+                </label>
+                <label>
+                    <span>金額</span>
+                    <input
+                        type="number"
+                        value={filters.minPrice}
+                        onChange={(e) => handleFilterChange('minPrice', e.target.value)}
+                        placeholder="下限"
+                    />
+                    〜
+                    <input
+                        type="number"
+                        value={filters.maxPrice}
+                        onChange={(e) => handleFilterChange('maxPrice', e.target.value)}
+                        placeholder="上限"
+                    />
+                </label>
+                <label>
+                    <span>利用時間（分）</span>
+                    <input
+                        type="number"
+                        value={filters.minDuration}
+                        onChange={(e) => handleFilterChange('minDuration', e.target.value)}
+                        placeholder="下限"
+                        min="0"
+                    />
+                    〜
+                    <input
+                        type="number"
+                        value={filters.maxDuration}
+                        onChange={(e) => handleFilterChange('maxDuration', e.target.value)}
+                        placeholder="上限"
+                        min="0"
+                    />
+                </label>
+            </div>
+
+            <div className="dayuse-bulk-actions">
+                <span>{filtered.length.toLocaleString('ja-JP')}件</span>
+                <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => handleExcludeChange(filtered.map((record) => record.id), true)}
+                    disabled={isSaving || filtered.length === 0}
+                >
+                    予測に使わない
+                </button>
+                <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => handleExcludeChange(filtered.map((record) => record.id), false)}
+                    disabled={isSaving || filtered.length === 0}
+                >
+                    予測に使う
+                </button>
+                <button
+                    type="button"
+                    className="btn btn-danger"
+                    onClick={handleDeleteRange}
+                    disabled={isSaving || !canDeleteRange}
+                    title="利用日の期間を指定すると削除できます"
+                >
+                    期間内を削除
+                </button>
+            </div>
+
+            {message.text && (
+                <div className={`message ${message.type}`}>{message.text}</div>
+            )}
+
+            {filtered.length === 0 ? (
+                <p className="room-type-hint">条件に合うデータはありません</p>
+            ) : (
+                <table className="backup-table">
+                    <thead>
+                        <tr>
+                            <th>予約ID</th>
+                            {Object.entries(SORT_COLUMNS).map(([key, label]) => (
+                                <th key={key}>
+                                    <button type="button" className="dayuse-sort" onClick={() => handleSort(key)}>
+                                        {label}
+                                        {sort.key === key && (sort.descending ? ' ▼' : ' ▲')}
+                                    </button>
+                                </th>
+                            ))}
+                            <th>入室〜退室</th>
+                            <th>予測</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {pageRecords.map((record) => (editing?.id === record.id ? (
+                            <tr key={record.id} className="editing">
+                                <td>{record.id}</td>
+                                <td>
+                                    <input
+                                        type="date"
+                                        value={editing.date}
+                                        onChange={(e) => handleEditChange('date', e.target.value)}
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        value={editing.price}
+                                        onChange={(e) => handleEditChange('price', e.target.value)}
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        value={editing.duration_minutes}
+                                        onChange={(e) => handleEditChange('duration_minutes', e.target.value)}
+                                        min="0"
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        value={editing.check_in}
+                                        onChange={(e) => handleEditChange('check_in', e.target.value)}
+                                        placeholder="10:00"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={editing.check_out}
+                                        onChange={(e) => handleEditChange('check_out', e.target.value)}
+                                        placeholder="15:00"
+                                    />
+                                </td>
+                                <td></td>
+                                <td className="dayuse-row-actions">
+                                    <button
+                                        type="button"
+                                        className="btn btn-primary"
+                                        onClick={() => handleEditSave(record)}
+                                        disabled={isSaving}
+                                    >
+                                        保存
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-secondary"
+                                        onClick={() => setEditing(null)}
+                                        disabled={isSaving}
+                                    >
+                                        取消
+                                    </button>
+                                </td>
+                            </tr>
+                        ) : (
+                            <tr key={record.id} className={record.excludeFromPrediction ? 'excluded' : ''}>
+                                <td>{record.id}</td>
+                                <td>{record.date}</td>
+                                <td>¥{record.price.toLocaleString('ja-JP')}</td>
+                                <td>{record.duration_minutes !== undefined && `${record.duration_minutes}分`}</td>
+                                <td>
+                                    {(record.check_in || record.check_out) && `${record.check_in || ''}〜${record.check_out || ''}`}
+                                </td>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        checked={!record.excludeFromPrediction}
+                                        onChange={(e) => handleExcludeChange([record.id], !e.target.checked)}
+                                        disabled={isSaving}
+                                        aria-label="予測に使う"
+                                    />
+                                </td>
+                                <td className="dayuse-row-actions">
+                                    <button
+                                        type="button"
+                                        className="btn btn-secondary"
+                                        onClick={() => handleEdit(record)}
+                                        disabled={isSaving}
+                                    >
+                                        編集
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-danger"
+                                        onClick={() => handleDelete(record)}
+                                        disabled={isSaving}
+                                    >
+                                        削除
+                                    </button>
+                                </td>
+                            </tr>
+                        )))}
+                    </tbody>
+                </table>
+            )}
+
+            {pageCount > 1 && (
+                <div className="dayuse-pager">
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => setPage(currentPage - 1)}
+                        disabled={currentPage === 0}
+                    >
+                        前へ
+                    </button>
+                    <span>{currentPage + 1} / {pageCount}</span>
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => setPage(currentPage + 1)}
+                        disabled={currentPage >= pageCount - 1}
+                    >
+                        次へ
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default DayuseRecords;
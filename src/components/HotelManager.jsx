@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import {
+    getDefaultHotelId,
+    validateHotel,
+    addHotel,
+    updateHotel,
+    setHotelArchived,
+    moveHotel,
+} from '../data/hotels';
+
+/**
+ * ホテル管理コンポーネント（設定画面内）
+ * - ホテルの追加・編集（名称、客室数）
+ * - アーカイブ / 復元
+ * - 表示順の並び替え
+ */
+function HotelManager({ hotels, selectedHotelId, onHotelChange, onHotelsChange }) {
+    const [drafts, setDrafts] = useState({});
+    const [newName, setNewName] = useState('');
+    const [newRooms, setNewRooms] = useState('');
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    // 一覧の再読み込みを親に依頼
+    const reload = () => {
+        onHotelsChange();
+    };
+
+    // 客室タイプ設定済みなら客室数はタイプ別の合計（ここでは編集しない）
+    const hasRoomTypes = (hotel) => Array.isArray(hotel.roomTypes) && hotel.roomTypes.length > 0;
+
+    // 編集中の値（未編集ならストレージの値）
+    const getDraft = (hotel) => drafts[hotel.id] || { name: hotel.name, rooms: String(hotel.rooms) };
+
+    const handleDraftChange = (hotel, field, value) => {
+        setDrafts((prev) => ({ ...prev, [hotel.id]: { ...getDraft(hotel), [field]: value } }));
+    };
+
+    // 編集内容を保存（フォーカスが外れたとき）
+    const handleDraftCommit = async (hotel) => {
+        const draft = drafts[hotel.id];
+        if (!draft) return;
+
+        const values = { name: draft.name, rooms: parseInt(draft.rooms) };
+        const error = validateHotel(values);
+        if (error) {
+            setMessage({ type: 'error', text: error });
+            return;
+        }
+
+        try {
+            await updateHotel(hotel.id, { name: values.name.trim(), rooms: values.rooms });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+        setDrafts((prev) => {
+            const next = { ...prev };
+            delete next[hotel.id];
+            return next;
+        });
+        setMessage({ type: '', text: '' });
+        reload();
+    };
+
+    // ホテルを追加
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const values = { name: newName, rooms: parseInt(newRooms) };
+        const error = validateHotel(values);
+        if (error) {
+            setMessage({ type: 'error', text: error });
+            return;
+        }
+
+        let hotel;
+        try {
+            hotel = await addHotel(values);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+        setNewName('');
+        setNewRooms('');
+        setMessage({ type: 'success', text: `${hotel.name}を追加しました` });
+        reload();
+    };
+
+    // アーカイブ / 復元
+    const handleArchiveToggle = async (hotel) => {
+        if (!hotel.archived && !window.confirm(`${hotel.name}をアーカイブしますか？データは保持されます。`)) {
+            return;
+        }
+
+        try {
+            await setHotelArchived(hotel.id, !hotel.archived);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+
+        // 選択中のホテルをアーカイブした場合は別のホテルに切り替え
+        if (!hotel.archived && hotel.id === selectedHotelId) {
+            onHotelChange(getDefaultHotelId());
+        }
+        setMessage({ type: '', text: '' });
+        reload();
+    };
+
+    // 並び替え
+    const handleMove = async (hotel, offset) => {
+        try {
+            await moveHotel(hotel.id, offset);
+            setMessage({ type: '', text: '' });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        }
+        reload();
+    };
+
+    return (
+        <div className="card fade-in">
+            <div className="card-header">
+                <span className="icon">🏨</span>
+                <span>ホテル管理</span>
+            </div>
+
+            <ul className="hotel-list">
+                {hotels.map((hotel, index) => {
+                    const draft = getDraft(hotel);
+                    return (
+                        <li key={hotel.id} className={`hotel-list-item ${hotel.archived ? 'archived' : ''}`}>
+                            <div className="hotel-order-buttons">
+                                <button
+                                    type="button"
+                                    onClick={() => handleMove(hotel, -1)}
+                                    disabled={index === 0}
+                                    aria-label="上へ移動"
+                                >
+                                    ▲
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => handleMove(hotel, 1)}
+                                    disabled={index === hotels.length - 1}
+                                    aria-label="下へ移動"
+                                >
+                                    ▼
+                                </button>
+                            </div>
+                            <input
+                                type="text"
+                                className="hotel-name-input"
+                                value={draft.name}
+                                onChange={(e) => handleDraftChange(hotel, 'name', e.target.value)}
+                                onBlur={() => handleDraftCommit(hotel)}
+                                disabled={hotel.archived}
+                            />
+                            <div className="hotel-rooms-input">
+                                <input
+                                    type="number"
+                                    value={draft.rooms}
+                                    onChange={(e) => handleDraftChange(hotel, 'rooms', e.target.value)}
+                                    onBlur={() => handleDraftCommit(hotel)}
+                                    disabled={hotel.archived || hasRoomTypes(hotel)}
+                                    title={hasRoomTypes(hotel) ? '客室タイプ別客室数の合計' : undefined}
+                                    min="1"
+                                />
+                                <span className="input-suffix">室</span>
+                            </div>
+                            <button
+                                type="button"
+                                className="btn btn-secondary hotel-archive-button"
+                                onClick={() => handleArchiveToggle(hotel)}
+                            >
+                                {hotel.archived ? '復元' : 'アーカイブ'}
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <form onSubmit={handleAdd} className="hotel-add-form">
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="ホテル名"
+                />
+                <div className="hotel-rooms-input">
+                    <input
+                        type="number"
+                        value={newRooms}
+                        onChange={(e) => setNewRooms(e.target.value)}
+                        placeholder="0"
+                        min="1"
+                    />
+                    <span className="input-suffix">室</span>
+                </div>
+                <button type="submit" className="btn btn-primary">
+                    追加
+                </button>
+            </form>
+
+            {message.text && (
+                <div className={`message ${message.type} mt-md`}>
+                    {message.text}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default HotelManager;
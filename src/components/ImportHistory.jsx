@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import {
+    MAX_IMPORT_HISTORY,
+    getImportHistory,
+    undoImport,
+    countLaterChanges,
+    subscribeStorageChanges,
+} from '../utils/storage';
+
+/**
+ * 取り込み履歴コンポーネント（設定画面のデイユース・宿泊予約データ内）
+ * - ファイル名・日時・追加 / 更新件数の一覧
+ * - 取り込みごとの取り消し（追加したデータを削除し、更新したデータを取り込み前の内容に戻す）
+ */
+function ImportHistory({ hotelId, importType, onUndone }) {
+    const [history, setHistory] = useState([]);
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [undoingId, setUndoingId] = useState(null);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    // 履歴を読み込み
+    useEffect(() => {
+        let cancelled = false;
+        getImportHistory(hotelId, importType).then((entries) => {
+            if (!cancelled) setHistory(entries);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [hotelId, importType, historyVersion]);
+
+    // 取り込み・取り消し・削除（別タブを含む）で読み直す
+    useEffect(() => {
+        return subscribeStorageChanges((change) => {
+            if (change.type === 'all' || (change.type === importType && change.hotelId === hotelId)) {
+                setHistoryVersion((prev) => prev + 1);
+            }
+        });
+    }, [hotelId, importType]);
+
+    // 取り込みを取り消す
+    const handleUndo = async (entry) => {
+        const name = entry.fileName || '（ファイル名なし）';
+        const laterChanges = countLaterChanges(history, entry);
+        const lines = [
+            `「${name}」の取り込みを取り消しますか？`,
+            `追加した${entry.addedIds.length}件を削除し、更新した${entry.previous.length}件を取り込み前の内容に戻します。`,
+        ];
+        if (laterChanges > 0) {
+            lines.push(`この後の取り込みで変更された${laterChanges}件も、この取り込みの前の内容に戻ります。`);
+        }
+        if (importType === 'dayuse') {
+            lines.push('取り込み後にデータ一覧で編集した内容も、取り込み前の内容に戻ります。');
+        }
+        if (!window.confirm(lines.join('\n'))) return;
+
+        setUndoingId(entry.id);
+        setMessage({ type: '', text: '' });
+        try {
+            const result = await undoImport(hotelId, entry.id);
+            setMessage({
+                type: 'success',
+                text: `「${name}」の取り込みを取り消しました（削除 ${result.removed}件、復元 ${result.restored}件）`,
+            });
+            onUndone?.();
+        } catch (err) {
+            console.error('Failed to undo import', err);
+            setMessage({ type: 'error', text: `取り消しに失敗しました: ${err.message}` });
+        } finally {
+            setUndoingId(null);
+        }
+    };
+
+    if (history.length === 0 && !message.text) {
+        return null;
+    }
+
+    return (
+        <div className="import-history">
+            <h4>取り込み履歴</h4>
+            <p className="room-type-hint">最新{MAX_IMPORT_HISTORY}件まで保存し、取り消しできます</p>
+            {history.length > 0 && (
+                <table className="backup-table">
+                    <thead>
+                        <tr>
+                            <th>ファイル</th>
+                            <th>追加</th>
+                            <th>更新</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {history.map((entry) => (
+                            <tr key={entry.id} className={entry.undoneAt ? 'undone' : ''}>
+                                <td>
+                                    {entry.fileName || '（ファイル名なし）'}
+                                    <span className="backup-range">
+                                        {new Date(entry.importedAt).toLocaleString('ja-JP')}
+                                    </span>
+                                </td>
+                                <td>{entry.addedIds.length}件</td>
+                                <td>{entry.previous.length}件</td>
+                                <td>
+                                    {entry.undoneAt ? (
+                                        <span className="import-history-undone">取り消し済み</span>
+                                    ) : (
+                                        <button
+                                            type="button"
+                                            className="btn btn-secondary"
+                                            onClick={() => handleUndo(entry)}
+                                            disabled={undoingId !== null}
+                                        >
+                                            {undoingId === entry.id ? '取り消し中…' : '取り消す'}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {message.text && (
+                <div className={`message ${message.type}`}>{message.text}</div>
+            )}
+        </div>
+    );
+}
+
+export default ImportHistory;
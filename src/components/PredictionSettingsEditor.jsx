@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { getPredictionSettings, savePredictionSettings } from '../utils/storage';
+import { PREDICTION_METHODS, DEFAULT_HALF_LIFE_DAYS } from '../utils/prediction';
+import BacktestReport from './BacktestReport';
+
+/**
+ * デイユース予測設定コンポーネント（設定画面内）
+ * - 予測方法（過去平均 / 直近重視）の選択
+ * - 直近重視の半減期
+ * - 予測方法ごとの精度の比較（BacktestReport）
+ */
+function PredictionSettingsEditor({ hotel }) {
+    const [method, setMethod] = useState(() => getPredictionSettings(hotel.id)?.method || 'average');
+    // 入力中の値は文字列で保持
+    const [halfLifeDays, setHalfLifeDays] = useState(() => (
+        String(getPredictionSettings(hotel.id)?.halfLifeDays || DEFAULT_HALF_LIFE_DAYS)
+    ));
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    const handleSave = async () => {
+        const days = parseInt(halfLifeDays);
+        if (method === 'weighted' && !(days >= 7 && days <= 730)) {
+            setMessage({ type: 'error', text: '半減期は7〜730日で入力してください' });
+            return;
+        }
+
+        try {
+            await savePredictionSettings(hotel.id, method === 'weighted' ? { method, halfLifeDays: days } : null);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+        setMessage({ type: 'success', text: '予測方法を保存しました' });
+    };
+
+    return (
+        <div className="card fade-in">
+            <div className="card-header">
+                <span className="icon">🔮</span>
+                <span>{hotel.name} のデイユース予測</span>
+            </div>
+
+            <div className="prediction-method">
+                <span>予測方法</span>
+                <select
+                    value={method}
+                    onChange={(e) => {
+                        setMethod(e.target.value);
+                        setMessage({ type: '', text: '' });
+                    }}
+                >
+                    {Object.entries(PREDICTION_METHODS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {method === 'weighted' && (
+                <label className="reject-limit">
+                    <span>半減期（この日数前のデータは重みが半分）</span>
+                    <span className="reject-limit-input">
+                        <input
+                            type="number"
+                            value={halfLifeDays}
+                            onChange={(e) => {
+                                setHalfLifeDays(e.target.value);
+                                setMessage({ type: '', text: '' });
+                            }}
+                            min="7"
+                            max="730"
+                        />
+                        日
+                    </span>
+                </label>
+            )}
+
+            <p className="room-type-hint">
+                {method === 'weighted'
+                    ? '最近の実績ほど重く扱い、売上の増加・減少がはっきりしている場合は予測に反映します。'
+                    : '同じ曜日（祝日）の過去の実績をすべて同じ重みで平均します。'}
+            </p>
+
+            {message.text && (
+                <div className={`message ${message.type} mb-md`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="data-actions">
+                <button type="button" className="btn btn-primary" onClick={handleSave}>
+                    保存
+                </button>
+            </div>
+
+            <BacktestReport hotelId={hotel.id} halfLifeDays={parseInt(halfLifeDays) || DEFAULT_HALF_LIFE_DAYS} />
+        </div>
+    );
+}
+
+export default PredictionSettingsEditor;
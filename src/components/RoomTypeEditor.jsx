@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { getRoomTypes, validateRoomTypes, saveRoomTypes, createRoomTypeId } from '../data/hotels';
+
+/**
+ * 客室タイプ設定コンポーネント（設定画面内）
+ * - タイプ名・客室数・価格係数の編集
+ * - タイプの追加・削除
+ */
+function RoomTypeEditor({ hotel, onSaved }) {
+    // 入力中の値は文字列で保持
+    const [rows, setRows] = useState(() => getRoomTypes(hotel).map((type) => ({
+        id: type.id,
+        name: type.name,
+        count: String(type.count),
+        weight: String(type.weight),
+    })));
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    const handleChange = (id, field, value) => {
+        setRows((prev) => prev.map((row) => (row.id === id ? { ...row, [field]: value } : row)));
+        setMessage({ type: '', text: '' });
+    };
+
+    const handleAdd = () => {
+        setRows((prev) => [...prev, { id: createRoomTypeId(), name: '', count: '', weight: '1' }]);
+    };
+
+    const handleRemove = (id) => {
+        setRows((prev) => prev.filter((row) => row.id !== id));
+    };
+
+    const handleSave = async () => {
+        const roomTypes = rows.map((row) => ({
+            id: row.id,
+            name: row.name,
+            count: parseInt(row.count),
+            weight: parseFloat(row.weight),
+        }));
+
+        const error = validateRoomTypes(roomTypes);
+        if (error) {
+            setMessage({ type: 'error', text: error });
+            return;
+        }
+
+        try {
+            await saveRoomTypes(hotel.id, roomTypes);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+            return;
+        }
+        setMessage({ type: 'success', text: '客室タイプを保存しました' });
+        onSaved();
+    };
+
+    const totalRooms = rows.reduce((sum, row) => sum + (parseInt(row.count) || 0), 0);
+
+    return (
+        <div className="card fade-in">
+            <div className="card-header">
+                <span className="icon">🛏️</span>
+                <span>{hotel.name} の客室タイプ</span>
+            </div>
+
+            <div className="room-type-table">
+                <div className="room-type-row room-type-head">
+                    <span>タイプ名</span>
+                    <span>客室数</span>
+                    <span>価格係数</span>
+                    <span></span>
+                </div>
+                {rows.map((row) => (
+                    <div key={row.id} className="room-type-row">
+                        <input
+                            type="text"
+                            value={row.name}
+                            onChange={(e) => handleChange(row.id, 'name', e.target.value)}
+                            placeholder="シングル"
+                        />
+                        <input
+                            type="number"
+                            value={row.count}
+                            onChange={(e) => handleChange(row.id, 'count', e.target.value)}
+                            placeholder="0"
+                            min="1"
+                        />
+                        <input
+                            type="number"
+                            value={row.weight}
+                            onChange={(e) => handleChange(row.id, 'weight', e.target.value)}
+                            placeholder="1"
+                            min="0"
+                            step="0.1"
+                        />
+                        <button
+                            type="button"
+                            className="room-type-remove"
+                            onClick={() => handleRemove(row.id)}
+                            disabled={rows.length <= 1}
+                            aria-label="削除"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <p className="room-type-hint">
+                価格係数は基準タイプを1とした相対価格です（例：シングル 1、ツイン 1.5、スイート 3）。
+                合計 {totalRooms}室
+            </p>
+
+            {message.text && (
+                <div className={`message ${message.type} mb-md`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="data-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleAdd}>
+                    タイプを追加
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleSave}>
+                    保存
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default RoomTypeEditor;
@@ -1,23 +1,61 @@
-import { useState, useEffect } from 'react';
-import { HOTELS, getHotelById } from '../data/hotels';
+import { useState, useEffect, useRef } from 'react';
+import { getHotels, getHotelById, getDefaultHotelId } from '../data/hotels';
 import {
     getMonthlyTarget,
     saveMonthlyTarget,
     getDayuseDataCount,
+    getStayDataCount,
+    getImportRejectLimit,
+    saveImportRejectLimit,
     mergeDayuseData,
     clearDayuseData,
+    mergeStayData,
+    clearStayData,
     getPasswordHash,
     savePasswordHash,
+    subscribeStorageChanges,
 } from '../utils/storage';
 import { hashPassword, verifyPassword } from '../utils/security';
 import CSVUploader from './CSVUploader';
+import HotelManager from './HotelManager';
+import RoomTypeEditor from './RoomTypeEditor';
+import DayWeightEditor from './DayWeightEditor';
+import PredictionSettingsEditor from './PredictionSettingsEditor';
+import BackupRestore from './BackupRestore';
+import ImportHistory from './ImportHistory';
+import DayuseRecords from './DayuseRecords';
 import './Settings.css';
 
+/**
+ * 今月から12ヶ月分の月間目標を読み込み
+ * @param {string} hotelId - ホテルID
+ * @param {number} currentYear - 今年
+ * @param {number} currentMonth - 今月 (1-12)
+ * @returns {Object} { 'YYYY-MM': 目標金額 }
+ */
+function readMonthlyTargets(hotelId, currentYear, currentMonth) {
+    const targets = {};
+    for (let i = 0; i < 12; i++) {
+        let year = currentYear;
+        let month = currentMonth + i;
+        if (month > 12) {
+            month -= 12;
+            year += 1;
+        }
+        const key = `${year}-${String(month).padStart(2, '0')}`;
+        targets[key] = getMonthlyTarget(hotelId, year, month);
+    }
+    return targets;
+}
+
 /**
  * 設定画面コンポーネント
+ * - ホテル管理・客室タイプ設定
+ * - 目標配分（曜日・祝日別）設定
  * - パスワード変更
  * - 月間目標設定
- * - CSVデータ管理
+ * - CSVデータ管理（デイユース・宿泊予約、取り込み履歴・取り消し）
+ * - バックアップと復元
  * - ログアウト
  */
 function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout }) {
@@ -28,6 +66,15 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
     // 月間目標の状態（12ヶ月分）
     const [monthlyTargets, setMonthlyTargets] = useState({});
     const [dataCount, setDataCount] = useState(0);
+    const [stayDataCount, setStayDataCount] = useState(0);
+
+    // 別タブとの同期：入力中の月と、その月が別タブで更新された場合の値
+    const focusedTargetRef = useRef(null);
+    const monthlyTargetsRef = useRef({});
+    const [targetConflicts, setTargetConflicts] = useState({});
+    const [targetError, setTargetError] = useState('');
+    const [dataError, setDataError] = useState({ importType: null, text: '' }); // データのカードに表示する保存・削除のエラー
+    const [dataCountVersion, setDataCountVersion] = useState(0);
 
     // パスワード変更
     const [currentPassword, setCurrentPassword] = useState('');
@@ -35,36 +82,107 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
     const [confirmPassword, setConfirmPassword] = useState('');
     const [passwordMessage, setPasswordMessage] = useState({ type: '', text: '' });
 
-    // CSV管理
-    const [showUploader, setShowUploader] = useState(false);
+    // CSV管理（アップロード中の取り込みの種類、閉じているときはnull）
+    const [uploadType, setUploadType] = useState(null);
+    const [showDayuseRecords, setShowDayuseRecords] = useState(false);
+    const [rejectLimit, setRejectLimit] = useState(() => getImportRejectLimit(selectedHotelId));
+
+    // 復元などで保存データが置き換わったら再読み込みするためのカウンター
+    const [dataVersion, setDataVersion] = useState(0);
 
     // ホテル情報
+    const [allHotels, setAllHotels] = useState(() => getHotels({ includeArchived: true }));
+    const hotels = allHotels.filter((h) => !h.archived);
     const hotel = getHotelById(selectedHotelId);
+    const reloadHotels = () => setAllHotels(getHotels({ includeArchived: true }));
 
     // 月間目標を読み込み
     useEffect(() => {
-        const targets = {};
-        for (let i = 0; i < 12; i++) {
-            let year = currentYear;
-            let month = currentMonth + i;
-            if (month > 12) {
-                month -= 12;
-                year += 1;
+        setMonthlyTargets(readMonthlyTargets(selectedHotelId, currentYear, currentMonth));
+        setTargetConflicts({});
+        setRejectLimit(getImportRejectLimit(selectedHotelId));
+    }, [selectedHotelId, currentYear, currentMonth, dataVersion]);
+
+    useEffect(() => {
+        monthlyTargetsRef.current = monthlyTargets;
+    }, [monthlyTargets]);
+
+    // デイユース・宿泊予約データの件数を読み込み
+    useEffect(() => {
+        let cancelled = false;
+        getDayuseDataCount(selectedHotelId).then((count) => {
+            if (!cancelled) setDataCount(count);
+        });
+        getStayDataCount(selectedHotelId).then((count) => {
+            if (!cancelled) setStayDataCount(count);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedHotelId, dataVersion, dataCountVersion]);
+
+    // 別タブでの変更を反映
+    // 編集中の下書きを消さないよう各エディタは再マウントせず、入力中の月間目標も上書きしない
+    useEffect(() => {
+        return subscribeStorageChanges((change) => {
+            if (change.source !== 'remote') return;
+
+            if (change.type === 'all' || change.type === 'hotels') {
+                setAllHotels(getHotels({ includeArchived: true }));
             }
-            const key = `${year}-${String(month).padStart(2, '0')}`;
-            targets[key] = getMonthlyTarget(selectedHotelId, year, month);
-        }
-        setMonthlyTargets(targets);
-        setDataCount(getDayuseDataCount(selectedHotelId));
+
+            if (change.type === 'all' || change.type === 'dayuse' || change.type === 'stay') {
+                setDataCountVersion((prev) => prev + 1);
+            }
+
+            if (change.type === 'all' || change.type === 'hotelSettings') {
+                const remoteTargets = readMonthlyTargets(selectedHotelId, currentYear, currentMonth);
+                const focusedKey = focusedTargetRef.current;
+                if (focusedKey && focusedKey in remoteTargets) {
+                    const localValue = monthlyTargetsRef.current[focusedKey];
+                    if (remoteTargets[focusedKey] !== localValue) {
+                        setTargetConflicts((prev) => ({ ...prev, [focusedKey]: remoteTargets[focusedKey] }));
+                    }
+                    remoteTargets[focusedKey] = localValue;
+                }
+                setMonthlyTargets(remoteTargets);
+                setRejectLimit(getImportRejectLimit(selectedHotelId));
+            }
+        });
     }, [selectedHotelId, currentYear, currentMonth]);
 
+    // 月間目標の競合表示を閉じる
+    const clearTargetConflict = (key) => {
+        setTargetConflicts((prev) => {
+            const next = { ...prev };
+            delete next[key];
+            return next;
+        });
+    };
+
     // 月間目標を保存
     const handleTargetChange = (key, value) => {
         const numValue = parseInt(value) || 0;
         setMonthlyTargets((prev) => ({ ...prev, [key]: numValue }));
+        clearTargetConflict(key);
 
         const [year, month] = key.split('-').map(Number);
-        saveMonthlyTarget(selectedHotelId, year, month, numValue);
+        setTargetError('');
+        saveMonthlyTarget(selectedHotelId, year, month, numValue).catch((err) => {
+            // 保存されている値に戻す
+            setMonthlyTargets((prev) => ({ ...prev, [key]: getMonthlyTarget(selectedHotelId, year, month) }));
+            setTargetError(`${getMonthLabel(key)}の目標を${err.message}`);
+        });
+    };
+
+    // 取り込みを中止する除外率の上限を保存
+    const handleRejectLimitChange = (value) => {
+        const limit = Math.min(100, Math.max(0, parseInt(value) || 0));
+        setRejectLimit(limit);
+        saveImportRejectLimit(selectedHotelId, limit).catch((err) => {
+            setRejectLimit(getImportRejectLimit(selectedHotelId));
+            setDataError({ importType: 'dayuse', text: err.message });
+        });
     };
 
     // パスワード変更
@@ -110,23 +228,57 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
     // CSVアップロード完了（IDベースでマージ）
     const [uploadResult, setUploadResult] = useState(null);
 
-    const handleUploadComplete = (data) => {
-        const result = mergeDayuseData(selectedHotelId, data);
-        setDataCount(result.total);
-        setUploadResult(result);
-        setShowUploader(false);
+    const handleUploadComplete = async (data, source) => {
+        if (uploadType === 'stay') {
+            const result = await mergeStayData(selectedHotelId, data, source);
+            setStayDataCount(result.total);
+            setUploadResult({ ...result, importType: 'stay' });
+        } else {
+            const result = await mergeDayuseData(selectedHotelId, data, source);
+            setDataCount(result.total);
+            setUploadResult({ ...result, importType: 'dayuse' });
+        }
+        setUploadType(null);
         // 3秒後に結果をクリア
         setTimeout(() => setUploadResult(null), 5000);
     };
 
-    // データ削除
-    const handleClearData = () => {
-        if (window.confirm('デイユースデータを削除しますか？この操作は取り消せません。')) {
-            clearDayuseData(selectedHotelId);
+    // データ削除（失敗時はそのデータのカードにエラーを表示）
+    const handleClearData = async () => {
+        if (!window.confirm('デイユースデータを削除しますか？この操作は取り消せません。')) return;
+        setDataError({ importType: null, text: '' });
+        try {
+            await clearDayuseData(selectedHotelId);
             setDataCount(0);
+        } catch (err) {
+            console.error('Failed to clear dayuse data', err);
+            setDataError({ importType: 'dayuse', text: `データの削除に失敗しました: ${err.message}` });
+        }
+    };
+
+    const handleClearStayData = async () => {
+        if (!window.confirm('宿泊予約データを削除しますか？この操作は取り消せません。')) return;
+        setDataError({ importType: null, text: '' });
+        try {
+            await clearStayData(selectedHotelId);
+            setStayDataCount(0);
+        } catch (err) {
+            console.error('Failed to clear stay data', err);
+            setDataError({ importType: 'stay', text: `データの削除に失敗しました: ${err.message}` });
         }
     };
 
+    // 復元完了：ホテル一覧・表示中のデータを再読み込み
+    const handleRestored = () => {
+        reloadHotels();
+        const restoredHotel = getHotelById(selectedHotelId);
+        if (!restoredHotel || restoredHotel.archived) {
+            onHotelChange(getDefaultHotelId());
+            return;
+        }
+        setDataVersion((prev) => prev + 1);
+    };
+
     // 月名を取得
     const getMonthLabel = (key) => {
         const [year, month] = key.split('-').map(Number);
@@ -161,7 +313,7 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
                         onChange={(e) => onHotelChange(e.target.value)}
                         className="hotel-select"
                     >
-                        {HOTELS.map((h) => (
+                        {hotels.map((h) => (
                             <option key={h.id} value={h.id}>
                                 {h.name}（{h.rooms}室）
                             </option>
@@ -169,6 +321,23 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
                     </select>
                 </div>
 
+                {/* ホテル管理 */}
+                <HotelManager
+                    hotels={allHotels}
+                    selectedHotelId={selectedHotelId}
+                    onHotelChange={onHotelChange}
+                    onHotelsChange={reloadHotels}
+                />
+
+                {/* 客室タイプ設定 */}
+                {hotel && (
+                    <RoomTypeEditor
+                        key={`${hotel.id}-${hotel.rooms}-${dataVersion}`}
+                        hotel={hotel}
+                        onSaved={reloadHotels}
+                    />
+                )}
+
                 {/* 月間目標設定 */}
                 <div className="card fade-in">
                     <div className="card-header">
@@ -185,15 +354,43 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
                                         type="number"
                                         value={value || ''}
                                         onChange={(e) => handleTargetChange(key, e.target.value)}
+                                        onFocus={() => { focusedTargetRef.current = key; }}
+                                        onBlur={() => { focusedTargetRef.current = null; }}
                                         placeholder="0"
                                         min="0"
                                     />
                                 </div>
+                                {key in targetConflicts && (
+                                    <div className="target-conflict">
+                                        <span>別のタブで¥{formatNumber(targetConflicts[key])}に更新</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleTargetChange(key, targetConflicts[key])}
+                                        >
+                                            反映
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleTargetChange(key, value)}
+                                        >
+                                            維持
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
+                    {targetError && (
+                        <div className="message error">{targetError}</div>
+                    )}
                 </div>
 
+                {/* 目標配分設定 */}
+                {hotel && <DayWeightEditor key={`${hotel.id}-${dataVersion}`} hotel={hotel} />}
+
+                {/* デイユース予測設定 */}
+                {hotel && <PredictionSettingsEditor key={`${hotel.id}-${dataVersion}`} hotel={hotel} />}
+
                 {/* CSVデータ管理 */}
                 <div className="card fade-in">
                     <div className="card-header">
@@ -206,19 +403,45 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
                         <span className="data-count">{formatNumber(dataCount)}件</span>
                     </div>
 
-                    {uploadResult && (
+                    <label className="reject-limit">
+                        <span>除外行がこの割合を超えたら取り込まない</span>
+                        <span className="reject-limit-input">
+                            <input
+                                type="number"
+                                value={rejectLimit}
+                                onChange={(e) => handleRejectLimitChange(e.target.value)}
+                                min="0"
+                                max="100"
+                            />
+                            %
+                        </span>
+                    </label>
+
+                    {uploadResult?.importType === 'dayuse' && (
                         <div className="upload-result">
                             ✅ アップロード完了：追加 {uploadResult.added}件、更新 {uploadResult.updated}件
                         </div>
                     )}
 
+                    {dataError.importType === 'dayuse' && (
+                        <div className="message error">{dataError.text}</div>
+                    )}
+
                     <div className="data-actions">
                         <button
                             className="btn btn-primary"
-                            onClick={() => setShowUploader(true)}
+                            onClick={() => setUploadType('dayuse')}
                         >
-                            CSVをアップロード
+                            CSV・Excelをアップロード
                         </button>
+                        {dataCount > 0 && (
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setShowDayuseRecords((prev) => !prev)}
+                            >
+                                {showDayuseRecords ? '一覧を閉じる' : 'データを表示・編集'}
+                            </button>
+                        )}
                         {dataCount > 0 && (
                             <button
                                 className="btn btn-danger"
@@ -229,14 +452,85 @@ function Settings({ selectedHotelId, onHotelChange, onNavigateBack, onLogout })
                         )}
                     </div>
 
-                    {showUploader && (
-                        <CSVUploader
-                            onUploadComplete={handleUploadComplete}
-                            onCancel={() => setShowUploader(false)}
+                    {showDayuseRecords && dataCount > 0 && (
+                        <DayuseRecords
+                            key={selectedHotelId}
+                            hotelId={selectedHotelId}
+                            onChanged={() => setDataCountVersion((prev) => prev + 1)}
                         />
                     )}
+
+                    <ImportHistory
+                        key={selectedHotelId}
+                        hotelId={selectedHotelId}
+                        importType="dayuse"
+                        onUndone={() => setDataCountVersion((prev) => prev + 1)}
+                    />
+                </div>
+
+                {/* 宿泊予約データ */}
+                <div className="card fade-in">
+                    <div className="card-header">
+                        <span className="icon">🛏️</span>
+                        <span>宿泊予約データ（{hotel?.name}）</span>
+                    </div>
+
+                    <div className="data-info">
+                        <span>現在のデータ</span>
+                        <span className="data-count">{formatNumber(stayDataCount)}件</span>
+                    </div>
+                    <p className="room-type-hint">
+                        チェックイン日・泊数・室数・金額から、ダッシュボードの宿泊件数・平均金額を自動入力します
+                    </p>
+
+                    {uploadResult?.importType === 'stay' && (
+                        <div className="upload-result">
+                            ✅ アップロード完了：追加 {uploadResult.added}件、更新 {uploadResult.updated}件
+                        </div>
+                    )}
+
+                    {dataError.importType === 'stay' && (
+                        <div className="message error">{dataError.text}</div>
+                    )}
+
+                    <div className="data-actions">
+                        <button
+                            className="btn btn-primary"
+                            onClick={() => setUploadType('stay')}
+                        >
+                            CSV・Excelをアップロード
+                        </button>
+                        {stayDataCount > 0 && (
+                            <button
+                                className="btn btn-danger"
+                                onClick={handleClearStayData}
+                            >
+                                データを削除
+                            </button>
+                        )}
+                    </div>
+
+                    <ImportHistory
+                        key={selectedHotelId}
+                        hotelId={selectedHotelId}
+                        importType="stay"
+                        onUndone={() => setDataCountVersion((prev) => prev + 1)}
+                    />
                 </div>
 
+                {uploadType && (
+                    <CSVUploader
+                        key={uploadType}
+                        hotelId={selectedHotelId}
+                        importType={uploadType}
+                        onUploadComplete={handleUploadComplete}
+                        onCancel={() => setUploadType(null)}
+                    />
+                )}
+
+                {/* バックアップと復元 */}
+                <BackupRestore onRestored={handleRestored} />
+
                 {/* パスワード変更 */}
                 <div className="card fade-in">
                     <div className="card-header">
@@ -0,0 +1,18 @@
+/**
+ * 起動エラー画面コンポーネント
+ * ストレージの初期化に失敗した場合に表示（データは変更されていない）
+ */
+function StartupError({ error }) {
+    return (
+        <div className="app-loading startup-error">
+            <h2>⚠️ データを読み込めませんでした</h2>
+            <p>保存データは変更されていません。ページを再読み込みしてください。</p>
+            <p className="startup-error-detail">{error?.message || String(error)}</p>
+            <button className="btn btn-secondary" onClick={() => window.location.reload()}>
+                再読み込み
+            </button>
+        </div>
+    );
+}
+
+export default StartupError;
@@ -1,9 +1,16 @@
 /**
  * ホテル設定データ
- * 各ホテルの基本情報を定義
+ * ホテル一覧（名称・客室数・客室タイプ・表示順・アーカイブ状態）を管理
+ * 一覧はストレージに保存され、設定画面から編集できる
  */
 
-export const HOTELS = [
+import { getHotelList, saveHotelList } from '../utils/storage';
+
+/**
+ * 初期ホテル一覧（初回起動時にストレージへ登録）
+ * 既存データ（hotel_a / hotel_b / hotel_c）のIDを維持する
+ */
+export const DEFAULT_HOTELS = [
   {
     id: 'hotel_a',
     name: 'ホテルA',
@@ -21,19 +28,207 @@ export const HOTELS = [
   },
 ];
 
+/**
+ * 客室タイプ未設定のホテルで使用するタイプID
+ */
+export const DEFAULT_ROOM_TYPE_ID = 'standard';
+
+/**
+ * 客室タイプの型
+ * @typedef {Object} RoomType
+ * @property {string} id - タイプID
+ * @property {string} name - タイプ名（シングル、ツインなど）
+ * @property {number} count - 客室数
+ * @property {number} weight - 価格係数（基準タイプを1とした相対値）
+ */
+
+/**
+ * ホテル一覧を読み込み（未登録の場合は初期一覧を登録）
+ * @returns {Array} ホテル一覧（表示順）
+ */
+function loadHotels() {
+  const stored = getHotelList();
+  if (Array.isArray(stored) && stored.length > 0) {
+    return stored;
+  }
+
+  const initial = DEFAULT_HOTELS.map(hotel => ({ ...hotel, archived: false }));
+  // 保存に失敗した場合は次の読み込みで改めて登録する
+  saveHotelList(initial).catch(() => {});
+  return initial;
+}
+
+/**
+ * ホテル一覧を取得
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - アーカイブ済みも含めるか
+ * @returns {Array} ホテル一覧（表示順）
+ */
+export function getHotels({ includeArchived = false } = {}) {
+  const hotels = loadHotels();
+  return includeArchived ? hotels : hotels.filter(hotel => !hotel.archived);
+}
+
 /**
  * ホテルIDからホテル情報を取得
  * @param {string} hotelId - ホテルID
- * @returns {Object|undefined} ホテル情報
+ * @returns {Object|undefined} ホテル情報（アーカイブ済みも含む）
  */
 export function getHotelById(hotelId) {
-  return HOTELS.find(hotel => hotel.id === hotelId);
+  return loadHotels().find(hotel => hotel.id === hotelId);
 }
 
 /**
  * デフォルトのホテルIDを取得
- * @returns {string} デフォルトホテルID
+ * @returns {string} デフォルトホテルID（表示順で最初の有効なホテル）
  */
 export function getDefaultHotelId() {
-  return HOTELS[0].id;
+  const hotels = loadHotels();
+  const active = hotels.find(hotel => !hotel.archived);
+  return (active || hotels[0]).id;
+}
+
+/**
+ * ホテルの客室タイプを取得
+ * 未設定の場合は全客室を1タイプ（係数1）として扱う
+ * @param {Object} hotel - ホテル情報
+ * @returns {RoomType[]} 客室タイプ一覧
+ */
+export function getRoomTypes(hotel) {
+  if (!hotel) {
+    return [];
+  }
+  if (Array.isArray(hotel.roomTypes) && hotel.roomTypes.length > 0) {
+    return hotel.roomTypes;
+  }
+  return [{ id: DEFAULT_ROOM_TYPE_ID, name: 'スタンダード', count: hotel.rooms, weight: 1 }];
+}
+
+/**
+ * 客室タイプを検証
+ * @param {RoomType[]} roomTypes - 客室タイプ一覧
+ * @returns {string|null} エラーメッセージ（問題なければnull）
+ */
+export function validateRoomTypes(roomTypes) {
+  if (roomTypes.length === 0) {
+    return '客室タイプを1つ以上登録してください';
+  }
+  for (const type of roomTypes) {
+    if (!type.name || !type.name.trim()) {
+      return 'タイプ名を入力してください';
+    }
+    if (!Number.isInteger(type.count) || type.count <= 0) {
+      return `${type.name}の客室数は1以上の整数で入力してください`;
+    }
+    if (!Number.isFinite(type.weight) || type.weight <= 0) {
+      return `${type.name}の価格係数は0より大きい数値で入力してください`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 客室タイプを保存（総客室数はタイプ別客室数の合計になる）
+ * @param {string} hotelId - ホテルID
+ * @param {RoomType[]} roomTypes - 客室タイプ一覧
+ * @returns {Promise<void>} 保存完了
+ */
+export function saveRoomTypes(hotelId, roomTypes) {
+  const normalized = roomTypes.map(type => ({ ...type, name: type.name.trim() }));
+  return updateHotel(hotelId, {
+    roomTypes: normalized,
+    rooms: normalized.reduce((sum, type) => sum + type.count, 0),
+  });
+}
+
+/**
+ * 新しい客室タイプIDを生成
+ * @returns {string} タイプID
+ */
+export function createRoomTypeId() {
+  return `type_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * ホテル名・客室数を検証
+ * @param {Object} values - { name, rooms }
+ * @returns {string|null} エラーメッセージ（問題なければnull）
+ */
+export function validateHotel({ name, rooms }) {
+  if (!name || !name.trim()) {
+    return 'ホテル名を入力してください';
+  }
+  if (!Number.isInteger(rooms) || rooms <= 0) {
+    return '客室数は1以上の整数で入力してください';
+  }
+  return null;
+}
+
+/**
+ * ホテルを追加
+ * @param {Object} values - { name, rooms }
+ * @returns {Promise<Object>} 追加したホテル情報（保存完了後）
+ */
+export async function addHotel({ name, rooms }) {
+  const hotels = loadHotels();
+  const hotel = {
+    id: `hotel_${Date.now().toString(36)}`,
+    name: name.trim(),
+    rooms,
+    archived: false,
+  };
+  await saveHotelList([...hotels, hotel]);
+  return hotel;
+}
+
+/**
+ * ホテル情報を更新
+ * @param {string} hotelId - ホテルID
+ * @param {Object} changes - 更新内容（name, rooms など）
+ * @returns {Promise<void>} 保存完了
+ */
+export function updateHotel(hotelId, changes) {
+  const hotels = loadHotels().map(hotel => (
+    hotel.id === hotelId ? { ...hotel, ...changes, id: hotel.id } : hotel
+  ));
+  return saveHotelList(hotels);
+}
+
+/**
+ * ホテルをアーカイブ / 復元
+ * アーカイブしたホテルは選択肢から外れるが、データは保持される
+ * @param {string} hotelId - ホテルID
+ * @param {boolean} archived - アーカイブするならtrue
+ * @returns {Promise<void>} 保存完了
+ */
+export async function setHotelArchived(hotelId, archived) {
+  const hotels = loadHotels();
+  const activeCount = hotels.filter(hotel => !hotel.archived).length;
+  const target = hotels.find(hotel => hotel.id === hotelId);
+
+  // 最後の有効なホテルはアーカイブできない
+  if (archived && target && !target.archived && activeCount <= 1) {
+    throw new Error('有効なホテルが1つ以上必要です');
+  }
+
+  await updateHotel(hotelId, { archived });
+}
+
+/**
+ * ホテルの表示順を移動
+ * @param {string} hotelId - ホテルID
+ * @param {number} offset - 移動量（-1で上へ、1で下へ）
+ * @returns {Promise<void>} 保存完了
+ */
+export async function moveHotel(hotelId, offset) {
+  const hotels = [...loadHotels()];
+  const index = hotels.findIndex(hotel => hotel.id === hotelId);
+  const newIndex = index + offset;
+  if (index < 0 || newIndex < 0 || newIndex >= hotels.length) {
+    return;
+  }
+
+  const [moved] = hotels.splice(index, 1);
+  hotels.splice(newIndex, 0, moved);
+  await saveHotelList(hotels);
 }
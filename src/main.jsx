@@ -2,9 +2,25 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import StartupError from './components/StartupError.jsx'
+import { initializeStorage } from './utils/storage'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+const root = createRoot(document.getElementById('root'))
+
+// ストレージ（IndexedDB・旧データの移行）を初期化してから描画
+initializeStorage()
+  .then(() => {
+    root.render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  })
+  .catch((error) => {
+    console.error('Failed to initialize storage:', error)
+    root.render(
+      <StrictMode>
+        <StartupError error={error} />
+      </StrictMode>,
+    )
+  })
@@ -0,0 +1,165 @@
+/**
+ * 取り込みデータ（デイユース）の異常値チェック
+ * 返金・無料招待・テスト予約・入力ミスなどが予測をゆがめないよう、取り込み前に確認する
+ */
+
+import { getTodayStr } from './date';
+
+/**
+ * チェックの種類
+ * defaultAction: 初期の扱い（include: 取り込む / exclude: 取り込まない / tag: 取り込むが予測に使わない）
+ */
+export const ANOMALY_TYPES = {
+    zeroPrice: { label: '金額が0円', defaultAction: 'tag' },
+    negativePrice: { label: '金額がマイナス（返金など）', defaultAction: 'tag' },
+    priceOutlier: { label: '金額が他の予約から大きく外れている', defaultAction: 'tag' },
+    futureDate: { label: '利用日が未来', defaultAction: 'include' },
+    foreignId: { label: '他のホテルに登録済みの予約ID', defaultAction: 'exclude' },
+};
+
+/**
+ * 異常値の扱い
+ */
+export const ANOMALY_ACTIONS = {
+    include: '取り込む',
+    exclude: '取り込まない',
+    tag: '予測に使わない',
+};
+
+// 外れ値の判定に必要な件数（少ないと四分位数が安定しない）
+const MIN_OUTLIER_SAMPLES = 20;
+
+// 外れ値とみなす四分位範囲の倍数（3倍: 極端な外れ値のみ）
+const OUTLIER_IQR_FACTOR = 3;
+
+/**
+ * 四分位数を計算（線形補間）
+ * @param {number[]} sorted - 昇順に並べた値
+ * @param {number} q - 0〜1
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 金額の外れ値の範囲を計算（正の金額の四分位範囲から求める）
+ * @param {Array} data - デイユースデータ
+ * @returns {{ low: number, high: number }|null} 件数が足りない場合null
+ */
+function getPriceFences(data) {
+    const prices = data.map((item) => item.price).filter((price) => price > 0).sort((a, b) => a - b);
+    if (prices.length < MIN_OUTLIER_SAMPLES) {
+        return null;
+    }
+    const q1 = quantile(prices, 0.25);
+    const q3 = quantile(prices, 0.75);
+    const iqr = q3 - q1;
+    return { low: q1 - iqr * OUTLIER_IQR_FACTOR, high: q3 + iqr * OUTLIER_IQR_FACTOR };
+}
+
+/**
+ * 異常値を検出
+ * 1行が複数の種類に当てはまることもある
+ * @param {Array} data - 変換済みのデイユースデータ（applyMapping の data）
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.foreignIds] - 他のホテルに登録済みのID → ホテルID
+ * @param {string} [options.today] - 今日 (YYYY-MM-DD)
+ * @returns {Object} { 種類: { indexes: data のインデックス, hotelIds?: 登録先のホテルID } }（該当のない種類は含まない）
+ */
+export function detectAnomalies(data, { foreignIds = new Map(), today = getTodayStr() } = {}) {
+    const fences = getPriceFences(data);
+    const anomalies = {};
+    const add = (type, index) => {
+        if (!anomalies[type]) {
+            anomalies[type] = { indexes: [] };
+        }
+        anomalies[type].indexes.push(index);
+    };
+
+    data.forEach((item, index) => {
+        if (item.price === 0) {
+            add('zeroPrice', index);
+        } else if (item.price < 0) {
+            add('negativePrice', index);
+        } else if (fences && (item.price < fences.low || item.price > fences.high)) {
+            add('priceOutlier', index);
+        }
+        if (item.date > today) {
+            add('futureDate', index);
+        }
+        if (foreignIds.has(item.id)) {
+            add('foreignId', index);
+        }
+    });
+
+    if (anomalies.foreignId) {
+        const hotelIds = new Set(anomalies.foreignId.indexes.map((index) => foreignIds.get(data[index].id)));
+        anomalies.foreignId.hotelIds = [...hotelIds];
+    }
+    return anomalies;
+}
+
+/**
+ * 選んだ扱いを適用
+ * 複数の種類に当てはまる行は「取り込まない」>「予測に使わない」>「取り込む」の順に優先する
+ * 予測に使わない行は excludeFromPrediction: true とする（他の行は指定しないため、
+ * 既存データに手動で付けた「予測に使わない」は再取り込みでも残る）
+ * @param {Array} data - 変換済みのデイユースデータ
+ * @param {Object} anomalies - detectAnomalies の結果
+ * @param {Object} actions - { 種類: 'include' | 'exclude' | 'tag' }（未指定は初期の扱い）
+ * @returns {Object} { data: 取り込むデータ, excludedCount, taggedCount }
+ */
+export function applyAnomalyActions(data, anomalies, actions = {}) {
+    const excluded = new Set();
+    const tagged = new Set();
+    Object.entries(anomalies).forEach(([type, { indexes }]) => {
+        const action = actions[type] || ANOMALY_TYPES[type].defaultAction;
+        if (action === 'exclude') {
+            indexes.forEach((index) => excluded.add(index));
+        } else if (action === 'tag') {
+            indexes.forEach((index) => tagged.add(index));
+        }
+    });
+
+    const result = [];
+    let taggedCount = 0;
+    data.forEach((item, index) => {
+        if (excluded.has(index)) return;
+        if (tagged.has(index)) {
+            taggedCount += 1;
+            result.push({ ...item, excludeFromPrediction: true });
+        } else {
+            result.push(item);
+        }
+    });
+
+    return { data: result, excludedCount: excluded.size, taggedCount };
+}
+
+/**
+ * 検出結果をプレビュー用に要約
+ * @param {Object} anomalies - detectAnomalies の結果
+ * @param {Object} result - applyMapping の戻り値
+ * @param {number} exampleCount - 種類ごとに表示する例の件数
+ * @returns {Array} [{ type, count, hotelIds, examples: [{ line, id, date, price }] }]
+ */
+export function summarizeAnomalies(anomalies, result, exampleCount) {
+    return Object.keys(ANOMALY_TYPES)
+        .filter((type) => anomalies[type])
+        .map((type) => {
+            const { indexes, hotelIds } = anomalies[type];
+            return {
+                type,
+                count: indexes.length,
+                hotelIds,
+                examples: indexes.slice(0, exampleCount).map((index) => {
+                    const { id, date, price } = result.data[index];
+                    return { line: result.lines[index], id, date, price };
+                }),
+            };
+        });
+}
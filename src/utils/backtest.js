@@ -0,0 +1,131 @@
+/**
+ * デイユース予測のバックテスト
+ * 過去の各日について、その日より前のデータだけで予測し、実績と比べて誤差を集計する
+ */
+
+import {
+    PREDICTION_METHODS,
+    groupByDate,
+    createDayClassifier,
+    predictFromDailyTotals,
+} from './prediction';
+import { parseDate } from './date';
+
+// 予測を始めるのに必要な過去の日数（これより前の日は検証しない）
+export const MIN_HISTORY_DAYS = 28;
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 誤差の指標
+ * @typedef {Object} BacktestMetrics
+ * @property {number} days - 検証した日数
+ * @property {number} mae - 平均絶対誤差（売上、円）
+ * @property {number|null} mape - 平均絶対誤差率（%、実績が0円の日は除く。対象がない場合null）
+ * @property {number} bias - 平均誤差（予測 − 実績、円。プラスは予測が多め）
+ */
+
+/**
+ * 予測と実績の組から誤差の指標を計算
+ * @param {Array} pairs - [{ predicted, actual }]
+ * @returns {BacktestMetrics}
+ */
+function calculateMetrics(pairs) {
+    const days = pairs.length;
+    const absErrors = pairs.map(({ predicted, actual }) => Math.abs(predicted - actual));
+    const rates = pairs
+        .filter(({ actual }) => actual > 0)
+        .map(({ predicted, actual }) => Math.abs(predicted - actual) / actual);
+
+    return {
+        days,
+        mae: Math.round(absErrors.reduce((sum, e) => sum + e, 0) / days),
+        mape: rates.length > 0
+            ? Math.round((rates.reduce((sum, r) => sum + r, 0) / rates.length) * 1000) / 10
+            : null,
+        bias: Math.round(pairs.reduce((sum, { predicted, actual }) => sum + predicted - actual, 0) / days),
+    };
+}
+
+/**
+ * 予測と実績の組を区分ごとに集計
+ * @param {Array} pairs - [{ predicted, actual, ... }]
+ * @param {Function} getKey - (pair) => 区分のキー
+ * @param {Array} keys - 表示順のキー [{ key, label }]
+ * @returns {Array} [{ key, label, ...BacktestMetrics }]（データのない区分は含まない）
+ */
+function groupMetrics(pairs, getKey, keys) {
+    const groups = new Map();
+    pairs.forEach((pair) => {
+        const key = getKey(pair);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(pair);
+    });
+    return keys
+        .filter(({ key }) => groups.has(key))
+        .map(({ key, label }) => ({ key, label, ...calculateMetrics(groups.get(key)) }));
+}
+
+/**
+ * バックテストを実行
+ * 祝日は isHolidaySync で判定するため、過去データの年の祝日をプリロードしておく（initializePrediction）
+ * データが多いと時間がかかるため、画面からはワーカー（workers/backtestWorker.js）で実行する
+ * @param {Array} dayuseData - 過去のデイユースデータ
+ * @param {Object|null} settings - 予測設定（predictDayuseRevenue と同じ）
+ * @param {(ratio: number) => void} [onProgress] - 進捗（0〜1）
+ * @returns {Object|null} { overall, byDayType, byMonth }（検証できる日がない場合null）
+ */
+export function runBacktest(dayuseData, settings, onProgress) {
+    const dailyTotals = Object.entries(groupByDate(dayuseData)).sort(([a], [b]) => (a < b ? -1 : 1));
+    const classify = createDayClassifier();
+
+    const pairs = [];
+    const total = dailyTotals.length - MIN_HISTORY_DAYS;
+    for (let i = MIN_HISTORY_DAYS; i < dailyTotals.length; i++) {
+        const [dateStr, actual] = dailyTotals[i];
+        const prediction = predictFromDailyTotals(dailyTotals.slice(0, i), parseDate(dateStr), settings, classify);
+        pairs.push({ day: classify(dateStr), predicted: prediction.revenue, actual: actual.revenue });
+        onProgress?.(pairs.length / total);
+    }
+    if (pairs.length === 0) {
+        return null;
+    }
+
+    return {
+        overall: calculateMetrics(pairs),
+        // 祝日は曜日と分けて集計
+        byDayType: groupMetrics(
+            pairs,
+            ({ day }) => (day.isHoliday ? 'holiday' : day.dayOfWeek),
+            [
+                ...DAY_NAMES.map((name, dow) => ({ key: dow, label: `${name}曜日` })),
+                { key: 'holiday', label: '祝日' },
+            ]
+        ),
+        byMonth: groupMetrics(
+            pairs,
+            ({ day }) => day.month,
+            Array.from({ length: 12 }, (_, i) => ({ key: i + 1, label: `${i + 1}月` }))
+        ),
+    };
+}
+
+/**
+ * すべての予測方法でバックテストを実行して比較
+ * @param {Array} dayuseData - 過去のデイユースデータ
+ * @param {number} halfLifeDays - 直近重視の半減期（日）
+ * @param {(ratio: number) => void} [onProgress] - 全体の進捗（0〜1）
+ * @returns {Array} [{ method, label, result }]（result は runBacktest の戻り値）
+ */
+export function compareMethods(dayuseData, halfLifeDays, onProgress) {
+    const methods = Object.entries(PREDICTION_METHODS);
+    return methods.map(([method, label], index) => ({
+        method,
+        label,
+        result: runBacktest(
+            dayuseData,
+            { method, halfLifeDays },
+            onProgress && ((ratio) => onProgress((index + ratio) / methods.length))
+        ),
+    }));
+}
@@ -0,0 +1,61 @@
+/**
+ * 予測精度の検証ワーカー（workers/backtestWorker.js）の呼び出し
+ * 要求ごとにPromiseを返し、キャンセル時はワーカーを停止する
+ */
+
+// キャンセルされた要求のエラーコード
+export const BACKTEST_CANCELLED = 'BACKTEST_CANCELLED';
+
+/**
+ * 検証ワーカーを起動
+ * @param {Object} [options]
+ * @param {(ratio: number) => void} [options.onProgress] - 検証の進捗（0〜1）
+ * @returns {Object} { compare, cancel }
+ */
+export function createBacktestWorker({ onProgress } = {}) {
+    const worker = new Worker(new URL('../workers/backtestWorker.js', import.meta.url), { type: 'module' });
+    const pending = new Map();
+    let nextId = 1;
+
+    worker.onmessage = (event) => {
+        const { id, type, value, ratio, message } = event.data;
+        const request = pending.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            onProgress?.(ratio);
+            return;
+        }
+        pending.delete(id);
+        if (type === 'result') {
+            request.resolve(value);
+        } else {
+            request.reject(new Error(message));
+        }
+    };
+
+    worker.onerror = (event) => {
+        console.error('Backtest worker failed', event);
+        const error = new Error('検証処理でエラーが発生しました');
+        pending.forEach((request) => request.reject(error));
+        pending.clear();
+    };
+
+    const request = (type, args) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, type, ...args });
+    });
+
+    return {
+        compare: (dayuseData, year, halfLifeDays) => request('compare', { dayuseData, year, halfLifeDays }),
+        // 処理中の要求を中止してワーカーを停止
+        cancel: () => {
+            worker.terminate();
+            const error = new Error('キャンセルしました');
+            error.code = BACKTEST_CANCELLED;
+            pending.forEach((request) => request.reject(error));
+            pending.clear();
+        },
+    };
+}
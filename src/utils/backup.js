@@ -0,0 +1,251 @@
+/**
+ * バックアップユーティリティ
+ * バックアップファイルの作成（平文 / 暗号化）・読み込み・構造検証・内容の要約
+ */
+
+import { exportAllData } from './storage';
+import { encryptBackup } from './security';
+import { getSchemaVersion, migrateData, CURRENT_SCHEMA_VERSION } from './migrations';
+import { formatDate } from './date';
+
+/**
+ * 復元対象の項目
+ */
+export const BACKUP_SECTIONS = {
+    hotels: 'ホテル一覧',
+    hotelSettings: 'ホテル設定（月間目標など）',
+    dayuseData: 'デイユースデータ',
+    stayData: '宿泊予約データ',
+    dailyInput: '当日入力データ',
+};
+
+/**
+ * 項目ごとの復元方法
+ */
+export const RESTORE_MODES = {
+    overwrite: '上書き',
+    merge: '統合',
+    skip: '取り込まない',
+};
+
+/**
+ * 暗号化パスフレーズの最小文字数
+ */
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 8;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * バックアップファイルを作成
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - 指定した場合はパスフレーズで暗号化
+ * @returns {Promise<{ blob: Blob, fileName: string }>}
+ */
+export async function createBackupFile({ passphrase } = {}) {
+    const data = await exportAllData();
+    const json = JSON.stringify(data);
+    const content = passphrase ? await encryptBackup(json, passphrase) : json;
+    const suffix = passphrase ? '.encrypted' : '';
+    return {
+        blob: new Blob([content], { type: 'application/json' }),
+        fileName: `accommodation-backup_${formatDate(new Date())}${suffix}.json`,
+    };
+}
+
+/**
+ * ファイルをダウンロードさせる
+ * @param {Blob} blob - ファイル内容
+ * @param {string} fileName - ファイル名
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // 直後に解放するとダウンロードが中断されるブラウザがあるため遅らせる
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * バックアップデータの構造を検証
+ * @param {Object} data - 最新スキーマのデータ
+ * @returns {string[]} エラーメッセージ（問題なければ空配列）
+ */
+export function validateBackup(data) {
+    const errors = [];
+
+    if (!isPlainObject(data)) {
+        return ['バックアップファイルの形式が正しくありません'];
+    }
+
+    const hasSection = Object.keys(BACKUP_SECTIONS).some(section => data[section] != null);
+    if (!hasSection) {
+        errors.push('復元できるデータが含まれていません');
+    }
+
+    if (data.hotels != null) {
+        if (!Array.isArray(data.hotels)) {
+            errors.push('ホテル一覧の形式が正しくありません');
+        } else {
+            data.hotels.forEach((hotel, index) => {
+                if (!isPlainObject(hotel) || typeof hotel.id !== 'string' || typeof hotel.name !== 'string'
+                    || !Number.isInteger(hotel.rooms)) {
+                    errors.push(`ホテル一覧の${index + 1}件目が正しくありません`);
+                }
+            });
+        }
+    }
+
+    if (data.hotelSettings != null) {
+        if (!isPlainObject(data.hotelSettings)) {
+            errors.push('ホテル設定の形式が正しくありません');
+        } else {
+            Object.entries(data.hotelSettings).forEach(([hotelId, settings]) => {
+                if (!isPlainObject(settings) || !isPlainObject(settings.monthlyTargets)) {
+                    errors.push(`ホテル設定（${hotelId}）が正しくありません`);
+                }
+            });
+        }
+    }
+
+    ['dayuseData', 'stayData'].forEach((section) => {
+        if (data[section] == null) return;
+        const label = BACKUP_SECTIONS[section];
+        if (!isPlainObject(data[section])) {
+            errors.push(`${label}の形式が正しくありません`);
+            return;
+        }
+        Object.entries(data[section]).forEach(([hotelId, items]) => {
+            if (!Array.isArray(items)) {
+                errors.push(`${label}（${hotelId}）の形式が正しくありません`);
+                return;
+            }
+            const invalid = items.filter(item => !isPlainObject(item) || !item.id || typeof item.date !== 'string');
+            if (invalid.length > 0) {
+                errors.push(`${label}（${hotelId}）にIDまたは日付のないレコードが${invalid.length}件あります`);
+            }
+        });
+    });
+
+    if (data.dailyInput != null) {
+        if (!isPlainObject(data.dailyInput)) {
+            errors.push('当日入力データの形式が正しくありません');
+        } else {
+            Object.entries(data.dailyInput).forEach(([hotelId, inputs]) => {
+                if (!isPlainObject(inputs)) {
+                    errors.push(`当日入力データ（${hotelId}）の形式が正しくありません`);
+                    return;
+                }
+                const invalid = Object.entries(inputs)
+                    .filter(([date, input]) => !DATE_PATTERN.test(date) || !isPlainObject(input));
+                if (invalid.length > 0) {
+                    errors.push(`当日入力データ（${hotelId}）に不正な日付のデータが${invalid.length}件あります`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * バックアップファイルの内容を読み込み、検証する
+ * 古いバージョンのバックアップは最新のスキーマに変換する
+ * @param {string} text - ファイルの内容
+ * @returns {{ data: Object|null, errors: string[], fromVersion: number|null }}
+ */
+export function parseBackup(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch {
+        return { data: null, errors: ['JSONとして読み込めませんでした'], fromVersion: null };
+    }
+
+    if (!isPlainObject(raw)) {
+        return { data: null, errors: ['バックアップファイルの形式が正しくありません'], fromVersion: null };
+    }
+
+    const fromVersion = getSchemaVersion(raw);
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        return {
+            data: null,
+            errors: [`このアプリより新しいバージョン（v${fromVersion}）のバックアップです`],
+            fromVersion,
+        };
+    }
+
+    let data;
+    try {
+        data = migrateData(raw).data;
+    } catch (error) {
+        return { data: null, errors: [error.message], fromVersion };
+    }
+
+    const errors = validateBackup(data);
+    return { data: errors.length === 0 ? data : null, errors, fromVersion };
+}
+
+/**
+ * 日付文字列の配列から期間を取得
+ * @param {string[]} dates - 日付文字列
+ * @returns {{ from: string, to: string }|null}
+ */
+function getDateRange(dates) {
+    if (dates.length === 0) {
+        return null;
+    }
+    const sorted = [...dates].sort();
+    return { from: sorted[0], to: sorted[sorted.length - 1] };
+}
+
+/**
+ * バックアップの内容を要約（復元前のプレビュー用）
+ * @param {Object} data - 検証済みのバックアップデータ
+ * @returns {Object} { exportedAt, schemaVersion, sections: {...}, hotels: [...] }
+ */
+export function summarizeBackup(data) {
+    const hotelIds = new Set([
+        ...(data.hotels || []).map(hotel => hotel.id),
+        ...Object.keys(data.hotelSettings || {}),
+        ...Object.keys(data.dayuseData || {}),
+        ...Object.keys(data.stayData || {}),
+        ...Object.keys(data.dailyInput || {}),
+    ]);
+
+    const hotels = [...hotelIds].map((hotelId) => {
+        const hotel = (data.hotels || []).find(h => h.id === hotelId);
+        const dayuse = data.dayuseData?.[hotelId] || [];
+        const stays = data.stayData?.[hotelId] || [];
+        const inputs = Object.keys(data.dailyInput?.[hotelId] || {});
+        const targets = Object.values(data.hotelSettings?.[hotelId]?.monthlyTargets || {})
+            .filter(target => target > 0);
+
+        return {
+            id: hotelId,
+            name: hotel?.name || hotelId,
+            dayuseCount: dayuse.length,
+            dayuseRange: getDateRange(dayuse.map(item => item.date)),
+            stayCount: stays.length,
+            stayRange: getDateRange(stays.map(item => item.date)),
+            dailyInputCount: inputs.length,
+            dailyInputRange: getDateRange(inputs),
+            monthlyTargetCount: targets.length,
+        };
+    });
+
+    const sections = {};
+    Object.keys(BACKUP_SECTIONS).forEach((section) => {
+        sections[section] = data[section] != null;
+    });
+
+    return {
+        exportedAt: data.exportedAt || null,
+        schemaVersion: data.schemaVersion,
+        sections,
+        hotels,
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * CSVパーサー（RFC 4180準拠）
+ * - 引用符で囲まれたフィールド内の区切り文字・改行、"" によるエスケープに対応
+ * - 改行は CRLF / LF / CR のいずれも可
+ * - 区切り文字はカンマ・タブ・セミコロンを自動判定（指定も可）
+ * - 先頭のBOMは除去
+ */
+
+// 自動判定の候補となる区切り文字
+export const DELIMITERS = [',', '\t', ';'];
+
+/**
+ * 1行目に最も多く現れる区切り文字を判定（引用符内は数えない）
+ * @param {string} text - CSVテキスト
+ * @returns {string} 区切り文字（判定できない場合はカンマ）
+ */
+export function detectDelimiter(text) {
+    const counts = Object.fromEntries(DELIMITERS.map((d) => [d, 0]));
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char in counts) {
+            counts[char] += 1;
+        }
+    }
+
+    const [best] = DELIMITERS.filter((d) => counts[d] > 0).sort((a, b) => counts[b] - counts[a]);
+    return best || ',';
+}
+
+/**
+ * 少しずつ渡されるCSVテキストをレコードに分割するパーサーを作成
+ * 大きなファイルを分割して読み込むために使う（チャンクの境界が引用符・改行の途中でもよい）
+ * @param {string} [delimiter] - 区切り文字
+ * @returns {Object} { push(text): レコード配列, end(): レコード配列 }
+ *   レコードは { line: 開始行番号, values: フィールド配列 }
+ */
+export function createRecordParser(delimiter = ',') {
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let quotePending = false; // 引用符内で " を読んだ直後（"" か閉じ引用符かは次の文字で決まる）
+    let afterCR = false;      // 直前が CR（CRLF の LF を読み飛ばす）
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        values.push(field);
+        field = '';
+    };
+    const endRecord = (records) => {
+        endField();
+        // 空行は読み飛ばす
+        if (values.length > 1 || values[0] !== '') {
+            records.push({ line: recordLine, values });
+        }
+        values = [];
+    };
+
+    const push = (text) => {
+        const records = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const isCRLF = afterCR && char === '\n';
+            afterCR = char === '\r';
+
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    quotePending = true;
+                } else {
+                    if (char === '\r' || (char === '\n' && !isCRLF)) {
+                        line += 1;
+                    }
+                    field += char;
+                }
+                continue;
+            }
+
+            if (isCRLF) continue;
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endRecord(records);
+                line += 1;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        return records;
+    };
+
+    const end = () => {
+        const records = [];
+        if (quotePending) {
+            quotePending = false;
+            inQuotes = false;
+        }
+        if (inQuotes) {
+            throw new Error(`${recordLine}行目: 引用符が閉じられていません`);
+        }
+        if (field !== '' || values.length > 0) {
+            endRecord(records);
+        }
+        return records;
+    };
+
+    return { push, end };
+}
+
+/**
+ * CSVテキストをレコードの配列に分割
+ * @param {string} text - CSVテキスト
+ * @param {string} [delimiter] - 区切り文字
+ * @returns {Array} [{ line: 開始行番号, values: フィールド配列 }]
+ */
+export function parseRecords(text, delimiter = ',') {
+    const parser = createRecordParser(delimiter);
+    return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * ヘッダー付きCSVを解析
+ * @param {string} text - CSVテキスト
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - 区切り文字（省略時は自動判定）
+ * @returns {Object} { headers: 列名, rows: [{ line, values }], delimiter }
+ */
+export function parseCSV(text, options = {}) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    return { ...recordsToTable(parseRecords(source, delimiter)), delimiter };
+}
+
+/**
+ * レコードの配列を表形式（1行目が列名）に変換
+ * @param {Array} records - parseRecords / createRecordParser の結果
+ * @returns {Object} { headers: 列名, rows: [{ line, values }] }
+ */
+export function recordsToTable(records) {
+    const [header, ...rows] = records;
+    if (!header || rows.length === 0) {
+        throw new Error('ヘッダー行とデータ行が必要です');
+    }
+    return {
+        headers: header.values.map((h) => h.trim()),
+        rows,
+    };
+}
+
+/**
+ * フィールドをCSV用にエスケープ（区切り文字・引用符・改行を含む場合は引用符で囲む）
+ * @param {*} value - フィールドの値
+ * @param {string} delimiter - 区切り文字
+ * @returns {string}
+ */
+function escapeField(value, delimiter) {
+    const text = String(value ?? '');
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * 行の配列をCSVテキストに変換（改行はCRLF）
+ * @param {Array<Array>} rows - 行ごとのフィールド配列（ヘッダー行を含む）
+ * @param {string} [delimiter] - 区切り文字
+ * @returns {string}
+ */
+export function stringifyCSV(rows, delimiter = ',') {
+    return rows
+        .map((values) => values.map((value) => escapeField(value, delimiter)).join(delimiter))
+        .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,326 @@
+/**
+ * CSV列の対応付け（マッピング）
+ * PMS・予約サイトの出力列を取り込み項目に割り当てる
+ */
+
+const ID_ALIASES = ['id', '予約番号', '予約no', '予約id', '予約コード', '受付番号', '管理番号'];
+const AMOUNT_ALIASES = ['price', '金額', '税込料金', '税込金額', '料金', '合計金額', '売上', '売上金額'];
+
+/**
+ * 取り込みの種類と項目の定義
+ * aliases: 自動推定に使う列名（正規化後に比較）
+ */
+export const IMPORT_TYPES = {
+    dayuse: {
+        label: 'デイユース',
+        fields: [
+            { key: 'id', label: '予約ID', required: true, aliases: ID_ALIASES },
+            { key: 'date', label: '利用日', required: true, aliases: ['date', '利用日', '宿泊日', 'チェックイン日', '到着日', '日付', '利用日付'] },
+            { key: 'price', label: '金額', required: true, aliases: AMOUNT_ALIASES },
+            { key: 'duration_minutes', label: '利用時間（分）', required: false, aliases: ['duration_minutes', 'duration', '利用時間', '利用時間（分）', '滞在時間'] },
+            { key: 'check_in', label: 'チェックイン', required: false, aliases: ['check_in', 'checkin', 'チェックイン', 'チェックイン時刻', 'in時刻', '入室時刻'] },
+            { key: 'check_out', label: 'チェックアウト', required: false, aliases: ['check_out', 'checkout', 'チェックアウト', 'チェックアウト時刻', 'out時刻', '退室時刻'] },
+        ],
+    },
+    stay: {
+        label: '宿泊予約',
+        fields: [
+            { key: 'id', label: '予約ID', required: true, aliases: ID_ALIASES },
+            { key: 'date', label: 'チェックイン日', required: true, aliases: ['date', 'checkin_date', 'チェックイン日', 'チェックイン', '到着日', '宿泊日', '利用日', '日付'] },
+            { key: 'nights', label: '泊数', required: true, aliases: ['nights', '泊数', '宿泊数', '宿泊日数', '連泊数'] },
+            { key: 'rooms', label: '室数', required: false, aliases: ['rooms', '室数', '部屋数', '客室数', '予約室数'] },
+            { key: 'amount', label: '金額（予約合計）', required: true, aliases: ['amount', ...AMOUNT_ALIASES, '宿泊料金', '予約金額'] },
+            { key: 'room_type', label: '客室タイプ', required: false, aliases: ['room_type', '客室タイプ', '部屋タイプ', 'ルームタイプ', '客室種別', '部屋種別'] },
+        ],
+    },
+};
+
+/**
+ * 取り込み項目の定義を取得
+ * @param {string} importType - 取り込みの種類（IMPORT_TYPES のキー）
+ * @returns {Array}
+ */
+export function getImportFields(importType) {
+    return IMPORT_TYPES[importType].fields;
+}
+
+/**
+ * 全角英数字・記号を半角に変換
+ * @param {string} value
+ * @returns {string}
+ */
+function toHalfWidth(value) {
+    return value
+        .replace(/[０-９Ａ-Ｚａ-ｚ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+        .replace(/[／]/g, '/')
+        .replace(/[－−]/g, '-')
+        .replace(/[：]/g, ':')
+        .replace(/[，]/g, ',')
+        .replace(/[．]/g, '.');
+}
+
+/**
+ * 列名を比較用に正規化（BOM・空白除去、小文字化）
+ * @param {string} header - 列名
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return toHalfWidth(String(header ?? ''))
+        .replace(/^\uFEFF/, '')
+        .replace(/\s/g, '')
+        .toLowerCase();
+}
+
+/**
+ * 列名から対応付けを推定
+ * @param {string[]} headers - CSVの列名
+ * @param {string} [importType] - 取り込みの種類
+ * @returns {Object} { 項目キー: 列名 }
+ */
+export function suggestMapping(headers, importType = 'dayuse') {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    getImportFields(importType).forEach((field) => {
+        const aliases = field.aliases.map(normalizeHeader);
+        const index = normalized.findIndex((header) => aliases.includes(header));
+        if (index !== -1) {
+            mapping[field.key] = headers[index];
+        }
+    });
+    return mapping;
+}
+
+/**
+ * 未割り当ての必須項目を取得
+ * @param {Object} mapping - 対応付け
+ * @param {string[]} headers - CSVの列名
+ * @param {string} [importType] - 取り込みの種類
+ * @returns {Array} 未割り当ての項目定義
+ */
+export function getMissingFields(mapping, headers, importType = 'dayuse') {
+    return getImportFields(importType).filter((field) => (
+        field.required && !headers.includes(mapping[field.key])
+    ));
+}
+
+/**
+ * 列名に合うプロファイルを探す
+ * 列構成が完全に一致するものを優先し、なければ割り当て列がすべて存在するものを使う
+ * @param {Array} profiles - 保存済みプロファイル
+ * @param {string[]} headers - CSVの列名
+ * @param {string} [importType] - 取り込みの種類
+ * @returns {Object|null} プロファイル
+ */
+export function findMatchingProfile(profiles, headers, importType = 'dayuse') {
+    const signature = headers.map(normalizeHeader).join(',');
+    const exact = profiles.find((profile) => (
+        (profile.headers || []).map(normalizeHeader).join(',') === signature
+    ));
+    if (exact) return exact;
+
+    return profiles.find((profile) => getMissingFields(profile.mapping, headers, importType).length === 0
+        && Object.values(profile.mapping).every((column) => headers.includes(column))) || null;
+}
+
+/**
+ * 日付を YYYY-MM-DD に正規化
+ * 2024-01-05 / 2024/1/5 / 2024年1月5日（時刻付きも可）に対応
+ * @param {string} value
+ * @returns {string|null} 無効な場合null
+ */
+export function normalizeDate(value) {
+    const match = toHalfWidth(String(value ?? '').trim())
+        .match(/^(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*日?(?:[\sT].*)?$/);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 金額・数値を整数に変換（¥・円・桁区切りを除去）
+ * Shift_JISのファイルでは ¥ が \ としてデコードされるため、\ も円記号として扱う
+ * @param {string} value
+ * @returns {number|null} 数値でない場合null
+ */
+export function normalizeNumber(value) {
+    const text = toHalfWidth(String(value ?? '').trim()).replace(/[¥￥\\円,\s]/g, '');
+    if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+    return Math.round(Number(text));
+}
+
+/**
+ * 金額を変換（空欄は警告して0円、数値でなければ除外理由を返す）
+ * @param {string} value - 金額の列値
+ * @param {Function} warn - 警告を記録する関数
+ * @returns {{ value: number }|{ reason: string }}
+ */
+function convertAmount(value, warn) {
+    const amount = normalizeNumber(value);
+    if (amount === null && value !== '') {
+        return { reason: `無効な金額: ${value}` };
+    }
+    if (amount === null) {
+        warn('金額が空のため0円として取り込みます');
+    } else if (amount < 0) {
+        warn(`金額がマイナスです: ${amount}`);
+    }
+    return { value: amount ?? 0 };
+}
+
+/**
+ * デイユースの行を変換
+ * @param {Object} record - 列値（id・dateは検証済み）
+ * @param {Function} warn - 警告を記録する関数
+ * @returns {string|null} 除外理由（取り込める場合null）
+ */
+function convertDayuseRecord(record, warn) {
+    const price = convertAmount(record.price, warn);
+    if (price.reason) return price.reason;
+    record.price = price.value;
+
+    if ('duration_minutes' in record) {
+        const duration = normalizeNumber(record.duration_minutes);
+        if (duration === null && record.duration_minutes !== '') {
+            warn(`利用時間を読み取れないため0分とします: ${record.duration_minutes}`);
+        }
+        record.duration_minutes = duration ?? 0;
+    }
+    return null;
+}
+
+/**
+ * 宿泊予約の行を変換
+ * @param {Object} record - 列値（id・dateは検証済み）
+ * @param {Function} warn - 警告を記録する関数
+ * @returns {string|null} 除外理由（取り込める場合null）
+ */
+function convertStayRecord(record, warn) {
+    const nights = normalizeNumber(record.nights);
+    if (nights === null || nights < 1) {
+        return record.nights ? `無効な泊数: ${record.nights}` : '泊数が空です';
+    }
+    record.nights = nights;
+
+    // 室数の列がない・空欄の場合は1室
+    const rooms = normalizeNumber(record.rooms ?? '');
+    if (rooms !== null && rooms < 1) {
+        return `無効な室数: ${record.rooms}`;
+    }
+    if (rooms === null && record.rooms) {
+        warn(`室数を読み取れないため1室とします: ${record.rooms}`);
+    }
+    record.rooms = rooms ?? 1;
+
+    const amount = convertAmount(record.amount, warn);
+    if (amount.reason) return amount.reason;
+    record.amount = amount.value;
+    return null;
+}
+
+/**
+ * 対応付けに従って行データを取り込み形式に変換
+ * 取り込めない行は除外（rejected）、取り込むが確認が必要な行は警告（warnings）として返す
+ * @param {string[]} headers - CSVの列名
+ * @param {Array} rows - データ行 [{ line: 行番号, values: 列値 }]
+ * @param {Object} mapping - 対応付け
+ * @param {string} [importType] - 取り込みの種類
+ * @returns {Object} { data: 変換済みデータ, lines: data と同じ順の行番号, rejected: [{ line, values, reason }], warnings: [{ line, message }] }
+ */
+export function applyMapping(headers, rows, mapping, importType = 'dayuse') {
+    const columnIndex = {};
+    getImportFields(importType).forEach((field) => {
+        const index = headers.indexOf(mapping[field.key]);
+        if (index !== -1) columnIndex[field.key] = index;
+    });
+    const convert = importType === 'stay' ? convertStayRecord : convertDayuseRecord;
+    const dateLabel = getImportFields(importType).find((field) => field.key === 'date').label;
+
+    const data = [];
+    const lines = [];
+    const rejected = [];
+    const warnings = [];
+    const seenIds = new Map();
+
+    rows.forEach(({ line, values }) => {
+        const reject = (reason) => rejected.push({ line, values, reason });
+        const warn = (message) => warnings.push({ line, message });
+
+        if (values.length !== headers.length) {
+            reject(`列数が一致しません（${values.length}列 / ${headers.length}列）`);
+            return;
+        }
+
+        const record = {};
+        Object.entries(columnIndex).forEach(([key, index]) => {
+            record[key] = (values[index] ?? '').trim();
+        });
+
+        if (!record.id) {
+            reject('予約IDが空です');
+            return;
+        }
+
+        const date = normalizeDate(record.date);
+        if (!date) {
+            reject(record.date ? `無効な日付: ${record.date}` : `${dateLabel}が空です`);
+            return;
+        }
+        record.date = date;
+
+        const reason = convert(record, warn);
+        if (reason) {
+            reject(reason);
+            return;
+        }
+
+        if (seenIds.has(record.id)) {
+            warn(`予約ID ${record.id} が${seenIds.get(record.id)}行目と重複しています（後の行で上書き）`);
+        }
+        seenIds.set(record.id, line);
+
+        data.push(record);
+        lines.push(line);
+    });
+
+    return { data, lines, rejected, warnings };
+}
+
+/**
+ * 除外率を計算
+ * @param {number} acceptedCount - 取り込む行数
+ * @param {number} rejectedCount - 除外した行数
+ * @returns {number} 0〜1
+ */
+export function getRejectionRate(acceptedCount, rejectedCount) {
+    const total = acceptedCount + rejectedCount;
+    return total > 0 ? rejectedCount / total : 0;
+}
+
+/**
+ * 変換結果をプレビュー用に要約（全データは画面側に渡さない）
+ * @param {Object} result - applyMapping の戻り値
+ * @param {number} previewRows - プレビューする行数
+ * @returns {Object} { acceptedCount, preview, firstDate, lastDate, rejected, warnings }
+ */
+export function summarizeMapping(result, previewRows) {
+    let firstDate = null;
+    let lastDate = null;
+    result.data.forEach(({ date }) => {
+        if (!firstDate || date < firstDate) firstDate = date;
+        if (!lastDate || date > lastDate) lastDate = date;
+    });
+
+    return {
+        acceptedCount: result.data.length,
+        preview: result.data.slice(0, previewRows),
+        firstDate,
+        lastDate,
+        rejected: result.rejected,
+        warnings: result.warnings,
+    };
+}
@@ -0,0 +1,46 @@
+/**
+ * 日付ユーティリティ
+ * 営業日の文字列表現（YYYY-MM-DD、ローカル時刻）と日付計算
+ */
+
+/**
+ * 日付をYYYY-MM-DD形式にフォーマット（ローカル時刻）
+ * @param {Date} date - 日付
+ * @returns {string} フォーマットされた日付文字列
+ */
+export function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * YYYY-MM-DD形式の文字列をローカル時刻の日付に変換
+ * @param {string} dateStr - 日付文字列
+ * @returns {Date} 日付（ローカル時刻の0時）
+ */
+export function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * 日付文字列に日数を加算
+ * @param {string} dateStr - 日付文字列 (YYYY-MM-DD)
+ * @param {number} days - 加算する日数（負数で過去）
+ * @returns {string} 加算後の日付文字列
+ */
+export function addDays(dateStr, days) {
+    const date = parseDate(dateStr);
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+}
+
+/**
+ * 今日の日付文字列を取得
+ * @returns {string} 日付文字列 (YYYY-MM-DD)
+ */
+export function getTodayStr() {
+    return formatDate(new Date());
+}
@@ -0,0 +1,157 @@
+/**
+ * IndexedDBラッパー
+ * データベースの作成・オブジェクトストア定義とPromiseベースの基本操作
+ */
+
+const DB_NAME = 'accommodation_cost_calculator';
+const DB_VERSION = 3;
+
+/**
+ * オブジェクトストア名
+ */
+export const STORES = {
+    META: 'meta',                  // キー: 任意の文字列（ホテル一覧、移行状態など）
+    HOTEL_SETTINGS: 'hotelSettings', // キー: hotelId
+    DAYUSE: 'dayuse',              // キー: [hotelId, id]、インデックス: hotelId, [hotelId, date]
+    DAILY_INPUT: 'dailyInput',     // キー: [hotelId, date]、インデックス: hotelId
+    STAY: 'stay',                  // キー: [hotelId, id]、インデックス: hotelId, [hotelId, date]（宿泊予約、dateはチェックイン日）
+    IMPORT_HISTORY: 'importHistory', // キー: [hotelId, id]（デイユースデータの取り込み履歴）
+};
+
+let dbPromise = null;
+
+/**
+ * データベースを開く（初回のみ作成・アップグレード）
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('このブラウザはIndexedDBに対応していません'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains(STORES.META)) {
+                db.createObjectStore(STORES.META);
+            }
+            if (!db.objectStoreNames.contains(STORES.HOTEL_SETTINGS)) {
+                db.createObjectStore(STORES.HOTEL_SETTINGS);
+            }
+            if (!db.objectStoreNames.contains(STORES.DAYUSE)) {
+                const dayuse = db.createObjectStore(STORES.DAYUSE, { keyPath: ['hotelId', 'id'] });
+                dayuse.createIndex('hotelId', 'hotelId');
+                dayuse.createIndex('hotelId_date', ['hotelId', 'date']);
+            }
+            if (!db.objectStoreNames.contains(STORES.DAILY_INPUT)) {
+                const dailyInput = db.createObjectStore(STORES.DAILY_INPUT, { keyPath: ['hotelId', 'date'] });
+                dailyInput.createIndex('hotelId', 'hotelId');
+            }
+            if (!db.objectStoreNames.contains(STORES.STAY)) {
+                const stay = db.createObjectStore(STORES.STAY, { keyPath: ['hotelId', 'id'] });
+                stay.createIndex('hotelId', 'hotelId');
+                stay.createIndex('hotelId_date', ['hotelId', 'date']);
+            }
+            if (!db.objectStoreNames.contains(STORES.IMPORT_HISTORY)) {
+                db.createObjectStore(STORES.IMPORT_HISTORY, { keyPath: ['hotelId', 'id'] });
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // 別タブでバージョンが上がった場合は接続を閉じる
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade is blocked by another tab');
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * IDBRequestをPromiseに変換
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} リクエスト結果
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * トランザクションを実行し、完了（コミット）まで待つ
+ * コールバック内でエラーが発生した場合はトランザクションを中止する
+ * @param {string|string[]} storeNames - 対象ストア
+ * @param {'readonly'|'readwrite'} mode - モード
+ * @param {Function} callback - (stores: Object<string, IDBObjectStore>) => 結果
+ * @returns {Promise<*>} コールバックの戻り値（Promiseの場合は解決値）
+ */
+export async function runTransaction(storeNames, mode, callback) {
+    const db = await openDatabase();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(names, mode);
+        const stores = {};
+        names.forEach(name => {
+            stores[name] = tx.objectStore(name);
+        });
+
+        let result;
+        let callbackError = null;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(callbackError || tx.error);
+        tx.onabort = () => reject(callbackError || tx.error || new Error('Transaction aborted'));
+
+        const abort = (error) => {
+            callbackError = error;
+            try {
+                tx.abort();
+            } catch {
+                // 既に完了・中止済み
+                reject(error);
+            }
+        };
+
+        try {
+            Promise.resolve(callback(stores)).then(
+                (value) => {
+                    result = value;
+                },
+                abort
+            );
+        } catch (error) {
+            abort(error);
+        }
+    });
+}
+
+/**
+ * ホテル単位のキー範囲（複合キー [hotelId, ...] の全件）
+ * @param {string} hotelId - ホテルID
+ * @returns {IDBKeyRange}
+ */
+export function hotelKeyRange(hotelId) {
+    // 配列は文字列・数値より大きいため、[hotelId, []] が上限になる
+    return IDBKeyRange.bound([hotelId], [hotelId, []]);
+}
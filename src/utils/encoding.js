@@ -0,0 +1,71 @@
+/**
+ * 文字コードの判定
+ * 日本語版Excelで保存したCSV（Shift_JIS）などを正しく読み込むため
+ */
+
+/**
+ * 対応する文字コード
+ * id は TextDecoder に渡すラベル（WHATWGのShift_JISはCP932の拡張文字を含む）
+ */
+export const ENCODINGS = [
+    { id: 'utf-8', label: 'UTF-8' },
+    { id: 'shift_jis', label: 'Shift_JIS（CP932）' },
+    { id: 'euc-jp', label: 'EUC-JP' },
+];
+
+// 日本語の文として自然な文字（ひらがな・カタカナ・漢字・全角英数記号）
+const JAPANESE_CHAR = /[\u3000-\u30ff\u4e00-\u9fff\uff01-\uff5e]/g;
+// 誤判定時に現れやすい文字（半角カナ・外字領域・制御文字）
+const UNLIKELY_CHAR = /[\uff61-\uff9f\ue000-\uf8ff\u0080-\u009f]/g;
+
+/**
+ * 指定した文字コードで厳密にデコード（不正なバイト列ならnull）
+ * ファイルの先頭部分だけで判定できるよう、末尾で途切れた文字は不正とみなさない
+ * @param {Uint8Array} bytes
+ * @param {string} encoding
+ * @returns {string|null}
+ */
+function tryDecode(bytes, encoding) {
+    try {
+        return new TextDecoder(encoding, { fatal: true }).decode(bytes, { stream: true });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * デコード結果が日本語として自然かを点数化
+ * @param {string} text
+ * @returns {number}
+ */
+function scoreText(text) {
+    const natural = text.match(JAPANESE_CHAR)?.length || 0;
+    const unlikely = text.match(UNLIKELY_CHAR)?.length || 0;
+    return natural - unlikely * 2;
+}
+
+/**
+ * 文字コードを判定
+ * BOM → UTF-8として正しいか → Shift_JIS / EUC-JP のうち日本語として自然な方、の順に判定する
+ * @param {Uint8Array} bytes - ファイルの内容（先頭部分でもよい）
+ * @returns {string} ENCODINGS の id
+ */
+export function detectEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return 'utf-8';
+    }
+    if (tryDecode(bytes, 'utf-8') !== null) {
+        return 'utf-8';
+    }
+
+    const candidates = ['shift_jis', 'euc-jp']
+        .map((encoding) => ({ encoding, text: tryDecode(bytes, encoding) }))
+        .filter((candidate) => candidate.text !== null);
+
+    if (candidates.length === 0) {
+        // どれにも当てはまらない場合は日本語版Excelの既定に合わせる
+        return 'shift_jis';
+    }
+    candidates.sort((a, b) => scoreText(b.text) - scoreText(a.text));
+    return candidates[0].encoding;
+}
@@ -3,6 +3,8 @@
  * 日本の祝日APIを使用して祝日を判定
  */
 
+import { formatDate } from './date';
+
 // 祝日キャッシュ（年単位）
 const holidayCache = new Map();
 
@@ -64,18 +66,6 @@ export async function getHolidayName(date) {
     return holidays[dateStr] || null;
 }
 
-/**
- * 日付をYYYY-MM-DD形式にフォーマット
- * @param {Date} date - 日付
- * @returns {string} フォーマットされた日付文字列
- */
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
-
 /**
  * 指定した年の祝日一覧を取得（プリロード用）
  * @param {number} year - 年
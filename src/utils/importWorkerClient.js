@@ -0,0 +1,66 @@
+/**
+ * 取り込みワーカー（workers/importWorker.js）の呼び出し
+ * 要求ごとにPromiseを返し、キャンセル時はワーカーを停止する
+ */
+
+// キャンセルされた要求のエラーコード
+export const IMPORT_CANCELLED = 'IMPORT_CANCELLED';
+
+/**
+ * 取り込みワーカーを起動
+ * @param {Object} [options]
+ * @param {(ratio: number) => void} [options.onProgress] - 読み込みの進捗（0〜1）
+ * @returns {Object} { parseCsv, openXlsx, readSheet, setForeignIds, map, collect, cancel }
+ */
+export function createImportWorker({ onProgress } = {}) {
+    const worker = new Worker(new URL('../workers/importWorker.js', import.meta.url), { type: 'module' });
+    const pending = new Map();
+    let nextId = 1;
+
+    worker.onmessage = (event) => {
+        const { id, type, value, ratio, message } = event.data;
+        const request = pending.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            onProgress?.(ratio);
+            return;
+        }
+        pending.delete(id);
+        if (type === 'result') {
+            request.resolve(value);
+        } else {
+            request.reject(new Error(message));
+        }
+    };
+
+    worker.onerror = (event) => {
+        console.error('Import worker failed', event);
+        const error = new Error('読み込み処理でエラーが発生しました');
+        pending.forEach((request) => request.reject(error));
+        pending.clear();
+    };
+
+    const request = (type, args) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, type, ...args });
+    });
+
+    return {
+        parseCsv: (file, encoding) => request('parseCsv', { file, encoding }),
+        openXlsx: (file) => request('openXlsx', { file }),
+        readSheet: (sheetName) => request('readSheet', { sheetName }),
+        setForeignIds: (ids) => request('setForeignIds', { ids }),
+        map: (mapping, importType) => request('map', { mapping, importType }),
+        collect: (mapping, importType, anomalyActions) => request('collect', { mapping, importType, anomalyActions }),
+        // 処理中の要求を中止してワーカーを停止
+        cancel: () => {
+            worker.terminate();
+            const error = new Error('キャンセルしました');
+            error.code = IMPORT_CANCELLED;
+            pending.forEach((request) => request.reject(error));
+            pending.clear();
+        },
+    };
+}
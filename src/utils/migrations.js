@@ -0,0 +1,102 @@
+/**
+ * データスキーマのバージョン管理とマイグレーション
+ * 保存データ・バックアップデータ（exportAllDataの形式）を最新のスキーマに変換する
+ *
+ * マイグレーションを追加するときは:
+ * 1. CURRENT_SCHEMA_VERSION を1つ上げる
+ * 2. MIGRATIONS の末尾に { version: 新バージョン, description, migrate } を追加する
+ *    migrate は1つ前のバージョンのデータを受け取り、新バージョンの形にして返す
+ */
+
+/**
+ * 現在のスキーマバージョン
+ * バージョン1はバージョン管理導入前のデータ
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * マイグレーション定義（バージョン順）
+ * @type {Array<{ version: number, description: string, migrate: (data: Object) => Object }>}
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: '既存データの形式を正規化',
+        migrate: (data) => {
+            // 含まれていない項目（部分的なバックアップ）はそのまま
+            const result = { ...data };
+
+            // ホテル一覧：アーカイブ状態を明示
+            if (Array.isArray(data.hotels)) {
+                result.hotels = data.hotels.map(hotel => ({ ...hotel, archived: hotel.archived === true }));
+            }
+
+            // ホテル設定：月間目標オブジェクトを必ず持つ
+            if (data.hotelSettings) {
+                result.hotelSettings = {};
+                Object.entries(data.hotelSettings).forEach(([hotelId, settings]) => {
+                    result.hotelSettings[hotelId] = { ...settings, monthlyTargets: settings?.monthlyTargets || {} };
+                });
+            }
+
+            // 当日入力：タイプ別の宿泊件数がない旧データは合計件数のみとして扱う
+            if (data.dailyInput) {
+                result.dailyInput = {};
+                Object.entries(data.dailyInput).forEach(([hotelId, inputs]) => {
+                    result.dailyInput[hotelId] = {};
+                    Object.entries(inputs || {}).forEach(([date, input]) => {
+                        result.dailyInput[hotelId][date] = { ...input, staySoldByType: input?.staySoldByType ?? null };
+                    });
+                });
+            }
+
+            return result;
+        },
+    },
+];
+
+/**
+ * データのスキーマバージョンを取得
+ * @param {Object} data - エクスポート形式のデータ
+ * @returns {number} バージョン（未記載の場合1）
+ */
+export function getSchemaVersion(data) {
+    return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 1;
+}
+
+/**
+ * データを最新のスキーマバージョンに変換
+ * 元のデータは変更しない。途中で失敗した場合は例外を投げる（部分的な結果は返さない）
+ * @param {Object} data - エクスポート形式のデータ
+ * @returns {{ data: Object, fromVersion: number, applied: string[] }} 変換後のデータと適用したマイグレーション
+ */
+export function migrateData(data) {
+    const fromVersion = getSchemaVersion(data);
+
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(
+            `データのバージョン（v${fromVersion}）がこのアプリ（v${CURRENT_SCHEMA_VERSION}）より新しいため読み込めません`
+        );
+    }
+
+    let current = structuredClone(data);
+    const applied = [];
+
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            try {
+                current = migration.migrate(current);
+            } catch (error) {
+                throw new Error(
+                    `データ移行（v${migration.version}: ${migration.description}）に失敗しました: ${error.message}`,
+                    { cause: error }
+                );
+            }
+            current.schemaVersion = migration.version;
+            applied.push(`v${migration.version}: ${migration.description}`);
+        });
+
+    current.schemaVersion = CURRENT_SCHEMA_VERSION;
+    return { data: current, fromVersion, applied };
+}
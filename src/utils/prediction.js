@@ -1,9 +1,68 @@
 /**
  * デイユース予測ロジック
- * 過去データから曜日別・祝日別の売上を予測
+ * 過去データから日の種類（曜日・祝日・前日・連休・大型連休・月）別の売上を予測
+ * 当日は入室時刻の傾向と入力済みの件数から、その日の最終的な売上も予測（ナウキャスト）
  */
 
 import { isHolidaySync, preloadHolidays } from './holidays';
+import { formatDate, parseDate, addDays } from './date';
+
+/**
+ * 予測方法
+ * - average: 同じ種類の日の過去平均
+ * - weighted: 直近ほど重く扱う加重平均に、増加・減少の傾向を反映
+ */
+export const PREDICTION_METHODS = {
+    average: '過去平均',
+    weighted: '直近重視（傾向を反映）',
+};
+
+// 直近重視の半減期の初期値（日）
+export const DEFAULT_HALF_LIFE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 日の種類ごとの予測に必要な日数（足りない場合は次の種類で予測）
+const MIN_DAY_TYPE_DAYS = 3;
+
+// 連休とみなす休日の日数
+const MIN_BLOCK_DAYS = 3;
+
+// 連休の判定で前後を調べる日数の上限
+const MAX_BLOCK_DAYS = 10;
+
+// 大型連休の期間（MM-DD、平日も含む）
+const SEASONAL_PERIODS = {
+    goldenWeek: { label: 'ゴールデンウィーク', start: '04-29', end: '05-06' },
+    obon: { label: 'お盆', start: '08-13', end: '08-16' },
+    newYear: { label: '年末年始', start: '12-29', end: '01-03' },
+};
+
+const BLOCK_POSITION_LABELS = {
+    first: '初日',
+    middle: '中日',
+    last: '最終日',
+};
+
+// 傾向の判定に必要な日数
+const MIN_TREND_DAYS = 8;
+
+// 傾向とみなすt値（傾きが誤差の2倍以上）
+const TREND_T_VALUE = 2;
+
+// 傾向とみなす変化の大きさ（4週あたりの変化率）
+const MIN_TREND_RATE = 0.02;
+
+// 傾向による補正の上限（加重平均に対する割合）
+const MAX_TREND_ADJUSTMENT = 0.5;
+
+// 予測売上の幅に使うパーセンタイル
+const RANGE_PERCENTILES = { p10: 0.1, p50: 0.5, p90: 0.9 };
+
+// 入室時刻（HH:MM。日付付きの値も可）
+const TIME_PATTERN = /(\d{1,2})[:：](\d{2})/;
 
 /**
  * 予測結果の型
@@ -13,40 +72,217 @@ import { isHolidaySync, preloadHolidays } from './holidays';
  * @property {number} avgPrice - 予測平均単価
  * @property {boolean} hasData - データがあるかどうか
  * @property {string} basis - 予測根拠の説明
+ * @property {Object|null} revenueRange - 予測売上の幅 { p10: 悲観, p50: 中央, p90: 楽観 }
+ *   （予測に使った過去の日の売上のばらつき。データがない場合null）
+ */
+
+/**
+ * 予測設定
+ * @typedef {Object} PredictionSettings
+ * @property {string} method - PREDICTION_METHODS のキー
+ * @property {number} [halfLifeDays] - 直近重視の半減期（日）
  */
 
 /**
  * デイユース売上を予測
+ * 日の種類は細かいものから順に試し、過去のデータが少ない種類は次の大まかな種類で予測する
+ * 取り込み時に「予測に使わない」とした予約（excludeFromPrediction）は除く
  * @param {Array} dayuseData - 過去のデイユースデータ
  * @param {Date} targetDate - 予測対象日
+ * @param {PredictionSettings|null} [settings] - 予測設定（省略時は過去平均）
  * @returns {PredictionResult} 予測結果
  */
-export function predictDayuseRevenue(dayuseData, targetDate) {
-    if (!dayuseData || dayuseData.length === 0) {
+export function predictDayuseRevenue(dayuseData, targetDate, settings = null) {
+    if (!dayuseData || !dayuseData.some((item) => !item.excludeFromPrediction)) {
         return {
             count: 0,
             revenue: 0,
             avgPrice: 0,
             hasData: false,
             basis: 'データなし',
+            revenueRange: null,
         };
     }
 
-    const dayOfWeek = targetDate.getDay(); // 0=日, 1=月, ...
-    const isTargetHoliday = isHolidaySync(targetDate);
+    const dailyTotals = Object.entries(groupByDate(dayuseData));
+    return predictFromDailyTotals(dailyTotals, targetDate, settings, createDayClassifier());
+}
+
+/**
+ * 日ごとの実績から予測
+ * 対象日の日の種類を細かいものから順に試し、データが足りる最初の種類で予測する
+ * @param {Array} dailyTotals - 日ごとの実績 [['YYYY-MM-DD', { count, revenue }], ...]（1件以上）
+ * @param {Date} targetDate - 予測対象日
+ * @param {PredictionSettings|null} settings - 予測設定
+ * @param {Function} classify - createDayClassifier の戻り値（バックテストでは判定結果を使い回す）
+ * @returns {PredictionResult} 予測結果
+ */
+export function predictFromDailyTotals(dailyTotals, targetDate, settings, classify) {
+    const estimate = createEstimator(targetDate, settings);
+    const dayTypes = getDayTypes(classify(formatDate(targetDate)));
 
-    // 祝日の場合は祝日データで予測
-    if (isTargetHoliday) {
-        const holidayPrediction = predictFromHolidayData(dayuseData);
-        if (holidayPrediction) {
-            return holidayPrediction;
+    for (const [index, dayType] of dayTypes.entries()) {
+        const days = dailyTotals.filter(([dateStr]) => dayType.matches(classify(dateStr)));
+        if (days.length >= dayType.minDays) {
+            const result = estimate(days, dayType.label);
+            if (index === 0) {
+                return result;
+            }
+            return { ...result, basis: `${result.basis}（${dayTypes[0].label}はデータ不足）` };
         }
-        // 祝日データがない場合は土曜日のデータを使用
-        return predictFromDayOfWeek(dayuseData, 6, '祝日（土曜日データで代用）');
     }
+    // 最後の種類（全体）で必ず予測されるため通常は到達しない
+    return estimate(dailyTotals, '全体');
+}
 
-    // 通常日は曜日別で予測
-    return predictFromDayOfWeek(dayuseData, dayOfWeek);
+/**
+ * 予測設定に応じた集計方法を返す
+ * @param {Date} targetDate - 予測対象日
+ * @param {PredictionSettings|null} settings - 予測設定
+ * @returns {Function} (days, label) => PredictionResult
+ */
+function createEstimator(targetDate, settings) {
+    if (settings?.method !== 'weighted') {
+        return estimateAverage;
+    }
+    const halfLifeDays = settings.halfLifeDays > 0 ? settings.halfLifeDays : DEFAULT_HALF_LIFE_DAYS;
+    return (days, label) => estimateWeighted(days, label, targetDate, halfLifeDays);
+}
+
+/**
+ * 休日（土日・祝日）か
+ * @param {string} dateStr - 日付 (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isDayOff(dateStr) {
+    const date = parseDate(dateStr);
+    return date.getDay() === 0 || date.getDay() === 6 || isHolidaySync(date);
+}
+
+/**
+ * 大型連休などの期間を判定（月日で判定し、平日も含む）
+ * @param {string} dateStr - 日付 (YYYY-MM-DD)
+ * @returns {string|null} SEASONAL_PERIODS のキー
+ */
+function getSeasonalPeriod(dateStr) {
+    const monthDay = dateStr.slice(5);
+    const period = Object.entries(SEASONAL_PERIODS).find(([, { start, end }]) => (
+        start <= end ? monthDay >= start && monthDay <= end : monthDay >= start || monthDay <= end
+    ));
+    return period ? period[0] : null;
+}
+
+/**
+ * 日の種類を判定する関数を作成（判定結果は日付ごとに再利用）
+ * 祝日は isHolidaySync で判定するため、対象の年の祝日をプリロードしておく
+ * @returns {Function} (dateStr) => DayInfo
+ *   DayInfo: { dayOfWeek, month, isHoliday, isDayOff, isHolidayEve, period, blockPosition }
+ *   blockPosition: 3日以上続く休日（連休）内の位置（'first' | 'middle' | 'last'、連休でなければnull）
+ */
+export function createDayClassifier() {
+    const offCache = new Map();
+    const infoCache = new Map();
+    const isOff = (dateStr) => {
+        if (!offCache.has(dateStr)) offCache.set(dateStr, isDayOff(dateStr));
+        return offCache.get(dateStr);
+    };
+
+    // 休日が続く日数（前後それぞれ、上限は連休の判定に十分な日数）
+    const countOffDays = (dateStr, step) => {
+        let count = 0;
+        for (let i = 1; i <= MAX_BLOCK_DAYS && isOff(addDays(dateStr, i * step)); i++) {
+            count += 1;
+        }
+        return count;
+    };
+
+    const getBlockPosition = (dateStr) => {
+        if (!isOff(dateStr)) return null;
+        const before = countOffDays(dateStr, -1);
+        const after = countOffDays(dateStr, 1);
+        if (before + after + 1 < MIN_BLOCK_DAYS) return null;
+        if (before === 0) return 'first';
+        if (after === 0) return 'last';
+        return 'middle';
+    };
+
+    return (dateStr) => {
+        if (infoCache.has(dateStr)) {
+            return infoCache.get(dateStr);
+        }
+        const date = parseDate(dateStr);
+        const nextDateStr = addDays(dateStr, 1);
+        const blockPosition = getBlockPosition(dateStr);
+        const info = {
+            dayOfWeek: date.getDay(),
+            month: date.getMonth() + 1,
+            isHoliday: isHolidaySync(date),
+            isDayOff: isOff(dateStr),
+            // 翌日が祝日または連休の初日となる平日
+            isHolidayEve: !isOff(dateStr)
+                && (isHolidaySync(parseDate(nextDateStr)) || getBlockPosition(nextDateStr) === 'first'),
+            period: getSeasonalPeriod(dateStr),
+            blockPosition,
+        };
+        infoCache.set(dateStr, info);
+        return info;
+    };
+}
+
+/**
+ * 予測に使う日の種類を、細かいものから順に返す
+ * - 大型連休（ゴールデンウィーク・お盆・年末年始）の休日 / 平日
+ * - 連休の初日・中日・最終日、連休
+ * - 祝日・連休の前日
+ * - 祝日
+ * - 月ごとの曜日（祝日・連休・前日・大型連休を除く通常の日）
+ * - 曜日（祝日は土曜日で代用）、全体
+ * @param {Object} target - 予測対象日の DayInfo
+ * @returns {Array} [{ label, matches: (DayInfo) => boolean, minDays }]
+ */
+function getDayTypes(target) {
+    const types = [];
+    const add = (label, matches, minDays = MIN_DAY_TYPE_DAYS) => types.push({ label, matches, minDays });
+
+    if (target.period) {
+        const periodLabel = SEASONAL_PERIODS[target.period].label;
+        add(
+            `${periodLabel}の${target.isDayOff ? '休日' : '平日'}`,
+            (day) => day.period === target.period && day.isDayOff === target.isDayOff
+        );
+        add(periodLabel, (day) => day.period === target.period);
+    }
+    if (target.blockPosition) {
+        add(`連休の${BLOCK_POSITION_LABELS[target.blockPosition]}`, (day) => day.blockPosition === target.blockPosition);
+        add('連休', (day) => day.blockPosition !== null);
+    }
+    if (target.isHolidayEve) {
+        add('祝日・連休の前日', (day) => day.isHolidayEve);
+    }
+    if (target.isHoliday) {
+        add('祝日', (day) => day.isHoliday);
+    }
+
+    // 祝日は土曜日のデータで代用
+    const dayOfWeek = target.isHoliday ? 6 : target.dayOfWeek;
+    if (!target.isHoliday) {
+        add(
+            `${target.month}月の${DAY_NAMES[dayOfWeek]}曜日`,
+            (day) => day.month === target.month && day.dayOfWeek === dayOfWeek && isOrdinaryDay(day)
+        );
+    }
+    add(`${DAY_NAMES[dayOfWeek]}曜日`, (day) => day.dayOfWeek === dayOfWeek, 1);
+    add('全体', () => true, 1);
+    return types;
+}
+
+/**
+ * 祝日・連休・前日・大型連休のいずれでもない通常の日か
+ * @param {Object} day - DayInfo
+ * @returns {boolean}
+ */
+function isOrdinaryDay(day) {
+    return !day.isHoliday && !day.blockPosition && !day.isHolidayEve && !day.period;
 }
 
 /**
@@ -67,22 +303,16 @@ function predictFromHolidayData(dayuseData) {
         return null;
     }
 
-    return calculateAverage(
-        holidayDays.map(([, data]) => data),
-        '祝日の過去平均'
-    );
+    return estimateAverage(holidayDays, '祝日');
 }
 
 /**
  * 曜日別データから予測
  * @param {Array} dayuseData - 過去のデイユースデータ
  * @param {number} dayOfWeek - 曜日（0=日曜）
- * @param {string} [basisOverride] - 予測根拠の説明を上書き
  * @returns {PredictionResult} 予測結果
  */
-function predictFromDayOfWeek(dayuseData, dayOfWeek, basisOverride = null) {
-    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
-
+function predictFromDayOfWeek(dayuseData, dayOfWeek) {
     // 日ごとにグループ化
     const dailyTotals = groupByDate(dayuseData);
 
@@ -94,27 +324,22 @@ function predictFromDayOfWeek(dayuseData, dayOfWeek, basisOverride = null) {
 
     if (sameDayData.length === 0) {
         // 曜日データがない場合は全体平均
-        return calculateAverage(
-            Object.values(dailyTotals),
-            '全体平均（曜日データなし）'
-        );
+        return estimateAverage(Object.entries(dailyTotals), '全体（曜日データなし）');
     }
 
-    return calculateAverage(
-        sameDayData.map(([, data]) => data),
-        basisOverride || `${dayNames[dayOfWeek]}曜日の過去平均`
-    );
+    return estimateAverage(sameDayData, `${DAY_NAMES[dayOfWeek]}曜日`);
 }
 
 /**
- * 過去データを日付ごとにグループ化
+ * 過去データを日付ごとにグループ化（予測に使わない予約は除く）
  * @param {Array} dayuseData - デイユースデータ
  * @returns {Object} { 'YYYY-MM-DD': { count, revenue }, ... }
  */
-function groupByDate(dayuseData) {
+export function groupByDate(dayuseData) {
     const dailyTotals = {};
 
     dayuseData.forEach((item) => {
+        if (item.excludeFromPrediction) return;
         const dateStr = item.date;
         if (!dailyTotals[dateStr]) {
             dailyTotals[dateStr] = { count: 0, revenue: 0 };
@@ -140,6 +365,7 @@ function calculateAverage(dailyDataArray, basis) {
             avgPrice: 0,
             hasData: false,
             basis,
+            revenueRange: null,
         };
     }
 
@@ -157,6 +383,138 @@ function calculateAverage(dailyDataArray, basis) {
         avgPrice,
         hasData: true,
         basis,
+        revenueRange: calculateRange(dailyDataArray.map((d) => ({ value: d.revenue, weight: 1 }))),
+    };
+}
+
+/**
+ * 重み付きのパーセンタイル（各値を累積重みの中点に置いて線形補間）
+ * @param {Array} values - [{ value, weight }]
+ * @param {number} q - 0〜1
+ * @returns {number}
+ */
+function weightedQuantile(values, q) {
+    const sorted = [...values].sort((a, b) => a.value - b.value);
+    const total = sorted.reduce((sum, v) => sum + v.weight, 0);
+    let cumulative = 0;
+    const positions = sorted.map((v) => {
+        const position = (cumulative + v.weight / 2) / total;
+        cumulative += v.weight;
+        return position;
+    });
+
+    if (q <= positions[0]) return sorted[0].value;
+    const last = sorted.length - 1;
+    if (q >= positions[last]) return sorted[last].value;
+    const upper = positions.findIndex((position) => position >= q);
+    const ratio = (q - positions[upper - 1]) / (positions[upper] - positions[upper - 1]);
+    return sorted[upper - 1].value + (sorted[upper].value - sorted[upper - 1].value) * ratio;
+}
+
+/**
+ * 予測売上の幅を計算
+ * @param {Array} values - 日ごとの売上 [{ value, weight }]（1件以上）
+ * @returns {Object} { p10, p50, p90 }
+ */
+function calculateRange(values) {
+    const range = {};
+    Object.entries(RANGE_PERCENTILES).forEach(([key, q]) => {
+        range[key] = Math.round(weightedQuantile(values, q));
+    });
+    return range;
+}
+
+/**
+ * 過去平均で予測
+ * @param {Array} days - 日ごとのデータ [['YYYY-MM-DD', { count, revenue }], ...]
+ * @param {string} label - 予測根拠に表示する対象の名前
+ * @returns {PredictionResult} 予測結果
+ */
+function estimateAverage(days, label) {
+    return calculateAverage(days.map(([, data]) => data), `${label}の過去平均`);
+}
+
+/**
+ * 重み付きの回帰直線を求める
+ * 重みは有効サンプル数（重みの合計の2乗 / 重みの2乗の合計）に合わせて正規化し、傾きのt値を計算する
+ * @param {Array} points - [{ x, y, weight }]
+ * @returns {Object} { mean: 重み付き平均, meanX, slope, tValue }
+ */
+function fitWeightedLine(points) {
+    const weightSum = points.reduce((sum, p) => sum + p.weight, 0);
+    const weightSquareSum = points.reduce((sum, p) => sum + p.weight * p.weight, 0);
+    const effectiveCount = (weightSum * weightSum) / weightSquareSum;
+    const scale = effectiveCount / weightSum;
+
+    const meanX = points.reduce((sum, p) => sum + p.weight * p.x, 0) / weightSum;
+    const mean = points.reduce((sum, p) => sum + p.weight * p.y, 0) / weightSum;
+    const sxx = points.reduce((sum, p) => sum + p.weight * scale * (p.x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, p) => sum + p.weight * scale * (p.x - meanX) * (p.y - mean), 0);
+    if (sxx === 0 || effectiveCount <= 2) {
+        return { mean, meanX, slope: 0, tValue: 0 };
+    }
+
+    const slope = sxy / sxx;
+    const residual = points.reduce((sum, p) => {
+        const error = p.y - (mean + slope * (p.x - meanX));
+        return sum + p.weight * scale * error * error;
+    }, 0);
+    const standardError = Math.sqrt(residual / (effectiveCount - 2) / sxx);
+    const tValue = standardError > 0 ? slope / standardError : 0;
+    return { mean, meanX, slope, tValue };
+}
+
+/**
+ * 直近を重視した加重平均で予測し、はっきりした傾向があれば予測対象日まで延長する
+ * 重みは 0.5^(経過日数 / 半減期)。傾向は売上の重み付き回帰で判定し、件数にも同じ割合で反映する
+ * 予測対象日より前のデータがない場合は過去平均
+ * @param {Array} days - 日ごとのデータ [['YYYY-MM-DD', { count, revenue }], ...]
+ * @param {string} label - 予測根拠に表示する対象の名前
+ * @param {Date} targetDate - 予測対象日
+ * @param {number} halfLifeDays - 半減期（日）
+ * @returns {PredictionResult} 予測結果
+ */
+function estimateWeighted(days, label, targetDate, halfLifeDays) {
+    const targetStr = formatDate(targetDate);
+    const pastDays = days.filter(([dateStr]) => dateStr < targetStr).sort(([a], [b]) => (a < b ? -1 : 1));
+    if (pastDays.length === 0) {
+        return estimateAverage(days, label);
+    }
+
+    const targetTime = parseDate(targetStr).getTime();
+    const points = pastDays.map(([dateStr, data]) => {
+        const age = Math.round((targetTime - parseDate(dateStr).getTime()) / DAY_MS);
+        return { x: -age, weight: 0.5 ** (age / halfLifeDays), ...data };
+    });
+
+    const weightSum = points.reduce((sum, p) => sum + p.weight, 0);
+    const meanCount = points.reduce((sum, p) => sum + p.weight * p.count, 0) / weightSum;
+    const revenueLine = fitWeightedLine(points.map((p) => ({ x: p.x, y: p.revenue, weight: p.weight })));
+
+    // 傾向がはっきりしている場合のみ、予測対象日（x = 0）まで延長（補正は上限まで）
+    let factor = 1;
+    let trendText = '、目立った傾向なし';
+    const rate = revenueLine.mean > 0 ? (revenueLine.slope * 28) / revenueLine.mean : 0;
+    if (points.length >= MIN_TREND_DAYS && Math.abs(revenueLine.tValue) >= TREND_T_VALUE
+        && Math.abs(rate) >= MIN_TREND_RATE) {
+        const projected = revenueLine.mean - revenueLine.slope * revenueLine.meanX;
+        factor = Math.min(1 + MAX_TREND_ADJUSTMENT, Math.max(1 - MAX_TREND_ADJUSTMENT, projected / revenueLine.mean));
+        const percent = Math.round(rate * 100);
+        trendText = `、${rate > 0 ? '増加' : '減少'}傾向（4週あたり${rate > 0 ? '+' : ''}${percent}%）を反映`;
+    }
+
+    const count = Math.round(meanCount * factor);
+    const revenue = Math.round(revenueLine.mean * factor);
+    const window = `${pastDays[0][0]}〜${pastDays[pastDays.length - 1][0]}の${pastDays.length}日`;
+
+    return {
+        count,
+        revenue,
+        avgPrice: count > 0 ? Math.round(revenue / count) : 0,
+        hasData: true,
+        basis: `${label}の直近重視平均（半減期${halfLifeDays}日、${window}${trendText}）`,
+        // 幅も直近を重視し、傾向の補正をかける
+        revenueRange: calculateRange(points.map((p) => ({ value: p.revenue * factor, weight: p.weight }))),
     };
 }
 
@@ -166,12 +524,11 @@ function calculateAverage(dailyDataArray, basis) {
  * @returns {Object} 曜日別の平均データ
  */
 export function getDayOfWeekStats(dayuseData) {
-    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
     const stats = {};
 
     for (let dow = 0; dow < 7; dow++) {
         const prediction = predictFromDayOfWeek(dayuseData, dow);
-        stats[dayNames[dow]] = {
+        stats[DAY_NAMES[dow]] = {
             dayOfWeek: dow,
             avgCount: prediction.count,
             avgRevenue: prediction.revenue,
@@ -182,10 +539,146 @@ export function getDayOfWeekStats(dayuseData) {
     return stats;
 }
 
+/**
+ * 祝日の統計を取得
+ * @param {Array} dayuseData - 過去のデイユースデータ
+ * @returns {Object|null} 祝日の平均データ（祝日データがない場合null）
+ */
+export function getHolidayStats(dayuseData) {
+    const prediction = predictFromHolidayData(dayuseData);
+    if (!prediction) {
+        return null;
+    }
+    return {
+        avgCount: prediction.count,
+        avgRevenue: prediction.revenue,
+        avgPrice: prediction.avgPrice,
+    };
+}
+
+/**
+ * 入室時刻を0時からの分に変換
+ * @param {string} value - check_in の値
+ * @returns {number|null} 読み取れない場合null
+ */
+function parseCheckInMinutes(value) {
+    const match = String(value ?? '').match(TIME_PATTERN);
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes < 24 * 60 ? minutes : null;
+}
+
+/**
+ * 時間帯ごとの累積到着率を作成
+ * @param {number[]} arrivals - 入室時刻（0時からの分）
+ * @returns {number[]} 25件（curve[h] = h時までに入室した割合）
+ */
+function buildArrivalCurve(arrivals) {
+    const byHour = Array(24).fill(0);
+    arrivals.forEach((minutes) => {
+        byHour[Math.floor(minutes / 60)] += 1;
+    });
+    const curve = [0];
+    byHour.forEach((count, hour) => {
+        curve.push(curve[hour] + count / arrivals.length);
+    });
+    return curve;
+}
+
+/**
+ * 累積到着率から指定時刻までに入室した割合を求める（時間内は線形補間）
+ * @param {number[]} curve - buildArrivalCurve の戻り値
+ * @param {number} minutes - 0時からの分
+ * @returns {number} 0〜1
+ */
+function getArrivedShare(curve, minutes) {
+    const hour = Math.min(23, Math.floor(minutes / 60));
+    const ratio = Math.min(1, (minutes - hour * 60) / 60);
+    return Math.min(1, curve[hour] + (curve[hour + 1] - curve[hour]) * ratio);
+}
+
+/**
+ * 当日の入室時刻の傾向（時間帯ごとの累積到着率）を過去データから作成
+ * 予測と同じく日の種類を細かいものから順に試し、入室時刻のある日が足りる種類を使う
+ * 過去データ全体を走査するため、結果を使い回して現在時刻・件数ごとの計算は nowcastDayuse で行う
+ * @param {Array} dayuseData - 過去のデイユースデータ（check_in を使う）
+ * @param {Date} targetDate - 予測対象日（当日）
+ * @returns {Object|null} { curve, label, days }（入室時刻のデータがない場合null）
+ */
+export function buildArrivalModel(dayuseData, targetDate) {
+    const targetStr = formatDate(targetDate);
+
+    // 対象日より前の日ごとの入室時刻
+    const arrivalsByDate = new Map();
+    (dayuseData || []).forEach((item) => {
+        if (item.excludeFromPrediction || item.date >= targetStr) return;
+        const arrival = parseCheckInMinutes(item.check_in);
+        if (arrival === null) return;
+        if (!arrivalsByDate.has(item.date)) arrivalsByDate.set(item.date, []);
+        arrivalsByDate.get(item.date).push(arrival);
+    });
+    if (arrivalsByDate.size === 0) {
+        return null;
+    }
+
+    // 日の種類の判定は日ごとに1回だけ行う
+    const classify = createDayClassifier();
+    const days = [...arrivalsByDate].map(([dateStr, arrivals]) => ({ day: classify(dateStr), arrivals }));
+    for (const dayType of getDayTypes(classify(targetStr))) {
+        const matched = days.filter(({ day }) => dayType.matches(day));
+        if (matched.length >= dayType.minDays) {
+            return {
+                curve: buildArrivalCurve(matched.flatMap(({ arrivals }) => arrivals)),
+                label: dayType.label,
+                days: matched.length,
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * 当日の途中時点から、その日の最終的なデイユース件数・売上を予測（ナウキャスト）
+ * 入室時刻の傾向から現時点までの到着率 s を求め、残りの件数は
+ * 「これまでのペース（入力件数 ÷ s × (1 − s)）」と「1日の予測件数 × (1 − s)」を
+ * s の割合で混ぜる（時間が進むほど当日のペースを重視）
+ * @param {Object} model - buildArrivalModel の戻り値
+ * @param {PredictionResult} prediction - 対象日の1日分の予測
+ * @param {Object} current - 現時点の状況
+ * @param {number} current.count - 入力済みの件数
+ * @param {number} current.avgPrice - 入力済みの平均金額（0なら予測の平均単価を使う）
+ * @param {number} current.minutes - 現在時刻（0時からの分）
+ * @returns {Object} { count, revenue, avgPrice, arrivedShare, remainingCount, basis }
+ */
+export function nowcastDayuse(model, prediction, { count, avgPrice, minutes }) {
+    const arrivedShare = getArrivedShare(model.curve, minutes);
+    const remainingShare = 1 - arrivedShare;
+    const paceRemaining = arrivedShare > 0 ? (count / arrivedShare) * remainingShare : 0;
+    const priorRemaining = (prediction.hasData ? prediction.count : 0) * remainingShare;
+    const remainingCount = Math.round(arrivedShare * paceRemaining + (1 - arrivedShare) * priorRemaining);
+
+    const price = avgPrice > 0 ? avgPrice : prediction.avgPrice;
+    const totalCount = count + remainingCount;
+    const percent = Math.round(arrivedShare * 100);
+
+    return {
+        count: totalCount,
+        revenue: totalCount * price,
+        avgPrice: price,
+        arrivedShare,
+        remainingCount,
+        basis: `${model.label}の入室時刻（${model.days}日分）では、この時刻までに${percent}%が入室`,
+    };
+}
+
 /**
  * 祝日データをプリロード
+ * 連休の判定で前後の年にまたがるため、対象年の前後と過去データの年も読み込む
  * @param {number} year - 年
+ * @param {Array} [dayuseData] - 過去のデイユースデータ
  */
-export async function initializePrediction(year) {
-    await preloadHolidays(year);
+export async function initializePrediction(year, dayuseData = []) {
+    const years = new Set([year - 1, year, year + 1]);
+    dayuseData.forEach((item) => years.add(parseDate(item.date).getFullYear()));
+    await Promise.all([...years].filter(Number.isFinite).map(preloadHolidays));
 }
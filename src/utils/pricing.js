@@ -0,0 +1,57 @@
+/**
+ * 宿泊最低許容金額の計算ロジック
+ * 必要売上を客室タイプ別の残室数と価格係数で按分
+ */
+
+/**
+ * 客室タイプ別の最低許容金額
+ * @typedef {Object} RoomTypePrice
+ * @property {string} id - タイプID
+ * @property {string} name - タイプ名
+ * @property {number} total - 客室数
+ * @property {number} sold - 販売済み室数
+ * @property {number} remaining - 残室数
+ * @property {number} weight - 価格係数
+ * @property {number} price - 最低許容金額（/室）
+ */
+
+/**
+ * 客室タイプ別の最低許容金額を計算
+ * 各タイプの金額は価格係数に比例し、残室をすべてその金額で販売すると必要売上に達する
+ * @param {number} requiredRevenue - 必要売上（日次目標 − デイユース売上）
+ * @param {Array} roomTypes - 客室タイプ一覧 [{ id, name, count, weight }]
+ * @param {Object} soldByType - タイプ別販売済み室数 { [typeId]: number }
+ * @returns {{ remainingRooms: number, totalRooms: number, prices: RoomTypePrice[] }}
+ */
+export function calculateMinimumPrices(requiredRevenue, roomTypes, soldByType = {}) {
+    const rows = roomTypes.map((type) => {
+        const sold = Math.min(type.count, Math.max(0, soldByType[type.id] || 0));
+        return {
+            id: type.id,
+            name: type.name,
+            total: type.count,
+            sold,
+            remaining: type.count - sold,
+            weight: type.weight,
+            price: 0,
+        };
+    });
+
+    const totalRooms = rows.reduce((sum, row) => sum + row.total, 0);
+    const remainingRooms = rows.reduce((sum, row) => sum + row.remaining, 0);
+
+    // 係数1あたりの金額 = 必要売上 ÷ Σ(残室数 × 係数)
+    const weightedRooms = rows.reduce((sum, row) => sum + row.remaining * row.weight, 0);
+    if (requiredRevenue > 0 && weightedRooms > 0) {
+        const unitPrice = requiredRevenue / weightedRooms;
+        rows.forEach((row) => {
+            row.price = Math.ceil(unitPrice * row.weight);
+        });
+    }
+
+    return {
+        remainingRooms,
+        totalRooms,
+        prices: rows,
+    };
+}
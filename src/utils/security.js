@@ -1,8 +1,25 @@
 /**
  * セキュリティユーティリティ
- * パスワードハッシュ化、ログイン試行制限、セッション管理
+ * パスワードハッシュ化、ログイン試行制限、セッション管理、バックアップ暗号化
  */
 
+// ==========================================
+// 保存データのバージョン
+// ==========================================
+
+// LocalStorageに保存するログイン試行・セッション情報の形式バージョン
+// 形式を変更した場合は値を上げる（異なるバージョンの情報は破棄され、再ログインとなる）
+const PAYLOAD_VERSION = 1;
+
+/**
+ * 保存されている情報が現在の形式か確認（バージョン未記載は1とみなす）
+ * @param {Object} payload - 保存されている情報
+ * @returns {boolean} 現在の形式ならtrue
+ */
+function isCurrentPayload(payload) {
+    return (payload?.version ?? 1) === PAYLOAD_VERSION;
+}
+
 // ==========================================
 // パスワードハッシュ化（SHA-256）
 // ==========================================
@@ -50,7 +67,11 @@ export function getLoginAttempts() {
         return { attempts: 0, lockoutUntil: null };
     }
     try {
-        return JSON.parse(stored);
+        const parsed = JSON.parse(stored);
+        if (!isCurrentPayload(parsed)) {
+            return { attempts: 0, lockoutUntil: null };
+        }
+        return parsed;
     } catch {
         return { attempts: 0, lockoutUntil: null };
     }
@@ -74,6 +95,7 @@ export function recordLoginFailure() {
     }
 
     localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify({
+        version: PAYLOAD_VERSION,
         attempts: newAttempts,
         lockoutUntil,
     }));
@@ -129,6 +151,7 @@ const SESSION_DURATION_MS = 24 * 60 * 60 * 1000; // 24時間
  */
 export function createSession(hotelId = null) {
     const session = {
+        version: PAYLOAD_VERSION,
         createdAt: Date.now(),
         expiresAt: Date.now() + SESSION_DURATION_MS,
         hotelId,
@@ -149,8 +172,8 @@ export function getSession() {
     try {
         const session = JSON.parse(stored);
 
-        // 有効期限チェック
-        if (Date.now() >= session.expiresAt) {
+        // 形式・有効期限チェック
+        if (!isCurrentPayload(session) || Date.now() >= session.expiresAt) {
             clearSession();
             return null;
         }
@@ -198,3 +221,173 @@ export function getSessionRemainingTime() {
     }
     return Math.max(0, Math.ceil((session.expiresAt - Date.now()) / 1000));
 }
+
+// ==========================================
+// バックアップ暗号化（PBKDF2 + AES-GCM）
+// ==========================================
+
+const ENCRYPTED_BACKUP_FORMAT = 'accommodation-backup-encrypted';
+const PBKDF2_ITERATIONS = 310000;
+// 復号時に受け付ける反復回数（ファイルの値が極端に大きいと鍵の導出でタブが固まるため）
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 4;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * 復号エラーの種類
+ */
+export const DECRYPT_ERRORS = {
+    WRONG_PASSPHRASE: 'WRONG_PASSPHRASE', // パスフレーズが違う
+    CORRUPTED: 'CORRUPTED',               // ファイルが壊れている・改ざんされている
+};
+
+/**
+ * 復号エラーを作成
+ * @param {string} code - DECRYPT_ERRORS のいずれか
+ * @param {string} message - エラーメッセージ
+ * @returns {Error} codeプロパティ付きのエラー
+ */
+function createDecryptError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * バイト列をBase64文字列に変換
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Base64文字列をバイト列に変換
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * パスフレーズから暗号鍵と照合値を導出
+ * PBKDF2で512ビットを導出し、前半を暗号鍵、後半をパスフレーズ照合用に使う
+ * @param {string} passphrase - パスフレーズ
+ * @param {Uint8Array} salt - ソルト
+ * @param {number} iterations - 反復回数
+ * @returns {Promise<{ key: CryptoKey, check: string }>}
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        512
+    ));
+
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const checkHash = await crypto.subtle.digest('SHA-256', bits.slice(32));
+    return { key, check: bytesToBase64(new Uint8Array(checkHash)) };
+}
+
+/**
+ * バックアップの内容をパスフレーズで暗号化
+ * @param {string} plaintext - バックアップの内容（JSON文字列）
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<string>} 暗号化したファイル内容（JSON文字列）
+ */
+export async function encryptBackup(plaintext, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const { key, check } = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+
+    return JSON.stringify({
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        check,
+        data: bytesToBase64(new Uint8Array(ciphertext)),
+    });
+}
+
+/**
+ * ファイル内容が暗号化バックアップか判定
+ * @param {string} text - ファイル内容
+ * @returns {boolean} 暗号化バックアップならtrue
+ */
+export function isEncryptedBackup(text) {
+    try {
+        return JSON.parse(text)?.format === ENCRYPTED_BACKUP_FORMAT;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 暗号化バックアップを復号
+ * パスフレーズ違いは照合値で判定し、ファイルの破損・改ざん（認証タグの不一致など）と区別する
+ * @param {string} text - 暗号化したファイル内容
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<string>} バックアップの内容（JSON文字列）
+ * @throws {Error} code が DECRYPT_ERRORS.WRONG_PASSPHRASE または DECRYPT_ERRORS.CORRUPTED のエラー
+ */
+export async function decryptBackup(text, passphrase) {
+    let salt;
+    let iv;
+    let ciphertext;
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+        salt = base64ToBytes(envelope.kdf.salt);
+        iv = base64ToBytes(envelope.cipher.iv);
+        ciphertext = base64ToBytes(envelope.data);
+        const { iterations } = envelope.kdf;
+        if (envelope.format !== ENCRYPTED_BACKUP_FORMAT || !Number.isInteger(iterations)
+            || iterations < MIN_PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS
+            || typeof envelope.check !== 'string') {
+            throw new Error('invalid envelope');
+        }
+    } catch {
+        throw createDecryptError(DECRYPT_ERRORS.CORRUPTED, 'ファイルが壊れているため復号できません');
+    }
+
+    const { key, check } = await deriveBackupKey(passphrase, salt, envelope.kdf.iterations);
+    if (check !== envelope.check) {
+        throw createDecryptError(DECRYPT_ERRORS.WRONG_PASSPHRASE, 'パスフレーズが正しくありません');
+    }
+
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+        return new TextDecoder().decode(plaintext);
+    } catch {
+        throw createDecryptError(
+            DECRYPT_ERRORS.CORRUPTED,
+            'パスフレーズは正しいですが、ファイルが壊れているか改ざんされているため復号できません'
+        );
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * 宿泊予約データの集計
+ * 予約（チェックイン日・泊数・室数・金額）から日ごとの販売室数・平均単価を求める
+ */
+
+import { addDays } from './date';
+
+/**
+ * 客室タイプ名を比較用に正規化
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeTypeName(name) {
+    return String(name ?? '').replace(/\s/g, '').toLowerCase();
+}
+
+/**
+ * 予約の客室タイプをホテルの客室タイプに対応付ける
+ * 客室タイプが1つのホテルではすべてそのタイプとし、複数の場合はタイプ名またはIDが一致するものを使う
+ * @param {Object} reservation - 宿泊予約
+ * @param {Array} roomTypes - 客室タイプ一覧
+ * @returns {string|null} タイプID（判別できない場合null）
+ */
+function findRoomTypeId(reservation, roomTypes) {
+    if (roomTypes.length === 1) {
+        return roomTypes[0].id;
+    }
+    const name = normalizeTypeName(reservation.room_type);
+    if (!name) return null;
+    const type = roomTypes.find((t) => normalizeTypeName(t.name) === name || normalizeTypeName(t.id) === name);
+    return type?.id || null;
+}
+
+/**
+ * 予約を泊ごとに展開して日別に集計
+ * 金額は予約合計を泊数 × 室数で割り、1室1泊あたりの単価として各泊に配分する
+ * @param {Array} reservations - 宿泊予約データ [{ date: チェックイン日, nights, rooms, amount, room_type? }]
+ * @param {Array} roomTypes - 客室タイプ一覧
+ * @returns {Map<string, Object>} 日付 → { rooms, revenue, avgPrice, soldByType, unassignedRooms, reservationCount }
+ *   unassignedRooms: 客室タイプを判別できずタイプ別の件数に含めていない室数
+ */
+export function summarizeStayNights(reservations, roomTypes) {
+    const nights = new Map();
+
+    reservations.forEach((reservation) => {
+        const nightCount = reservation.nights || 1;
+        const rooms = reservation.rooms || 1;
+        const pricePerRoomNight = (reservation.amount || 0) / (nightCount * rooms);
+        const typeId = findRoomTypeId(reservation, roomTypes);
+
+        for (let i = 0; i < nightCount; i++) {
+            const dateStr = addDays(reservation.date, i);
+            if (!nights.has(dateStr)) {
+                nights.set(dateStr, { rooms: 0, revenue: 0, soldByType: {}, unassignedRooms: 0, reservationCount: 0 });
+            }
+            const night = nights.get(dateStr);
+            night.rooms += rooms;
+            night.revenue += pricePerRoomNight * rooms;
+            night.reservationCount += 1;
+            if (typeId) {
+                night.soldByType[typeId] = (night.soldByType[typeId] || 0) + rooms;
+            } else {
+                night.unassignedRooms += rooms;
+            }
+        }
+    });
+
+    nights.forEach((night) => {
+        night.revenue = Math.round(night.revenue);
+        night.avgPrice = night.rooms > 0 ? Math.round(night.revenue / night.rooms) : 0;
+    });
+    return nights;
+}
+
+/**
+ * 当日入力に予約データの宿泊件数・平均金額を補う（手入力がある項目はそのまま）
+ * @param {Object} dailyInputs - 対象月の当日入力データ { 'YYYY-MM-DD': input }
+ * @param {Map<string, Object>} stayNights - summarizeStayNights の結果
+ * @param {number} year - 年
+ * @param {number} month - 月（1-12）
+ * @returns {Object} 補った当日入力データ { 'YYYY-MM-DD': input }
+ */
+export function withImportedStays(dailyInputs, stayNights, year, month) {
+    const prefix = `${year}-${String(month).padStart(2, '0')}-`;
+    const result = { ...dailyInputs };
+    stayNights.forEach((night, dateStr) => {
+        if (!dateStr.startsWith(prefix)) return;
+        const input = result[dateStr] || {};
+        result[dateStr] = {
+            ...input,
+            stayCount: input.stayCount ?? night.rooms,
+            stayAvgPrice: input.stayAvgPrice ?? night.avgPrice,
+        };
+    });
+    return result;
+}
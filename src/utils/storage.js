@@ -1,19 +1,157 @@
 /**
- * LocalStorage操作ユーティリティ
- * ホテル設定、月間目標、デイユースデータ、当日入力データの保存・読み込み
+ * ストレージ操作ユーティリティ
+ * ホテル一覧、ホテル設定、月間目標、デイユースデータ、当日入力データの保存・読み込み
+ *
+ * データはIndexedDBに保存する。
+ * - ホテル一覧・ホテル設定・当日入力は起動時にメモリへ読み込み、同期的に参照できる
+ *   （保存はメモリを即時更新し、IndexedDBへは非同期で書き込む）
+ * - デイユースデータ・宿泊予約データは件数が多いため、ホテル・日付単位のレコードとして非同期で読み書きする
+ * - デイユース・宿泊予約の取り込みは履歴として記録し、取り込みごとに元に戻せる
+ * - 保存データにはスキーマバージョンを記録し、起動時に migrations.js で最新の形式に変換する
+ * - 変更は BroadcastChannel で他のタブに通知し、各タブのメモリキャッシュを最新に保つ
  */
 
+import { STORES, openDatabase, promisifyRequest, runTransaction, hotelKeyRange } from './db';
+import { CURRENT_SCHEMA_VERSION, migrateData } from './migrations';
+
 // ==========================================
 // ストレージキー定義
 // ==========================================
 
+// LocalStorageに残すキー（ログイン前に参照するため）
 const STORAGE_KEYS = {
     PASSWORD: 'app_password_hash',
+};
+
+// 旧バージョンのLocalStorageキー（IndexedDBへの移行元）
+const LEGACY_STORAGE_KEYS = {
+    HOTELS: 'hotels',                      // [{ id, name, rooms, archived }, ...]（表示順）
     HOTEL_SETTINGS: 'hotel_settings',      // { hotel_a: { monthlyTargets: {...} }, ... }
     DAYUSE_DATA: 'dayuse_data',            // { hotel_a: [...], hotel_b: [...], ... }
     DAILY_INPUT: 'daily_input',            // { hotel_a: { '2026-01-09': {...} }, ... }
 };
 
+// metaストアのキー
+const META_KEYS = {
+    HOTELS: 'hotels',                      // [{ id, name, rooms, roomTypes, archived }, ...]（表示順）
+    MIGRATED_AT: 'localStorageMigratedAt', // LocalStorageからの移行日時
+    SCHEMA_VERSION: 'schemaVersion',       // 保存データのスキーマバージョン（未記載は1）
+};
+
+// CSV取り込みを中止する除外率の上限（%）の初期値
+export const DEFAULT_IMPORT_REJECT_LIMIT = 10;
+
+// 一度に取り込めるファイルサイズの上限（50MB）
+// 読み込み時はファイル全体をメモリに展開するため、保存容量に空きがあってもこれを超えるとタブが落ちる
+const MAX_IMPORT_SIZE = 50 * 1024 * 1024;
+
+// 取り込み履歴を残す件数（ホテル・取り込みの種類ごと。超えた分は古い順に削除し、取り消せなくなる）
+export const MAX_IMPORT_HISTORY = 10;
+
+// 取り込みの種類ごとの保存先ストア
+const IMPORT_STORES = {
+    dayuse: STORES.DAYUSE,
+    stay: STORES.STAY,
+};
+
+// ==========================================
+// メモリキャッシュ
+// ==========================================
+
+const cache = {
+    hotels: null,        // ホテル一覧
+    hotelSettings: {},   // { hotel_a: { monthlyTargets: {...}, pacingEnabled, dayWeights, csvProfiles }, ... }
+    dailyInput: {},      // { hotel_a: { '2026-01-09': {...} }, ... }
+};
+
+// ==========================================
+// 変更通知（タブ間同期）
+// ==========================================
+
+const CHANNEL_NAME = 'accommodation_storage_changes';
+
+/**
+ * 変更通知の型
+ * @typedef {Object} StorageChange
+ * @property {'hotels'|'hotelSettings'|'dailyInput'|'dayuse'|'stay'|'all'} type - 変更された種類
+ * @property {string} [hotelId] - 対象ホテルID
+ * @property {string} [date] - 対象日（dailyInputのみ）
+ * @property {*} [value] - 変更後の値（hotels / hotelSettings / dailyInput）
+ * @property {'local'|'remote'} source - このタブでの変更か、他のタブでの変更か
+ */
+
+const listeners = new Set();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * ストレージの変更を購読
+ * @param {(change: StorageChange) => void} listener - 変更時に呼ばれる関数
+ * @returns {Function} 購読解除する関数
+ */
+export function subscribeStorageChanges(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * 購読者に変更を通知
+ * @param {StorageChange} change
+ */
+function notifyListeners(change) {
+    listeners.forEach((listener) => {
+        try {
+            listener(change);
+        } catch (e) {
+            console.error('Storage change listener failed', e);
+        }
+    });
+}
+
+/**
+ * このタブでの変更を購読者と他のタブに通知
+ * @param {Object} change - 変更内容（sourceを除く）
+ */
+function broadcastChange(change) {
+    notifyListeners({ ...change, source: 'local' });
+    channel?.postMessage(change);
+}
+
+/**
+ * 他のタブでの変更をメモリキャッシュに反映して通知
+ * @param {Object} change - 変更内容
+ */
+async function applyRemoteChange(change) {
+    switch (change.type) {
+        case 'hotels':
+            cache.hotels = change.value;
+            break;
+        case 'hotelSettings':
+            cache.hotelSettings[change.hotelId] = change.value;
+            break;
+        case 'dailyInput':
+            if (!cache.dailyInput[change.hotelId]) {
+                cache.dailyInput[change.hotelId] = {};
+            }
+            cache.dailyInput[change.hotelId][change.date] = change.value;
+            break;
+        case 'all':
+            await loadCache();
+            break;
+        default:
+            // dayuse / stay: キャッシュなし（購読者が読み直す）
+            break;
+    }
+    notifyListeners({ ...change, source: 'remote' });
+}
+
+if (channel) {
+    channel.onmessage = (event) => {
+        applyRemoteChange(event.data).catch((e) => {
+            console.error('Failed to apply storage change from another tab', e);
+        });
+    };
+}
+
 // ==========================================
 // 汎用操作
 // ==========================================
@@ -38,16 +176,180 @@ function getStorageItem(key, defaultValue = null) {
 }
 
 /**
- * LocalStorageにJSONデータを保存
- * @param {string} key - ストレージキー
- * @param {*} value - 保存する値
+ * IndexedDBへ書き込み、完了後に変更を通知
+ * 失敗した場合はメモリキャッシュを書き込み前に戻し、エラーとする（画面の表示と保存内容がずれないように）
+ * @param {string|string[]} storeNames - 対象ストア
+ * @param {Function} callback - (stores) => void
+ * @param {Object} change - 書き込み完了後に通知する変更内容
+ * @param {Function} rollback - キャッシュを書き込み前に戻す関数
+ * @returns {Promise<void>}
  */
-function setStorageItem(key, value) {
-    try {
-        localStorage.setItem(key, JSON.stringify(value));
-    } catch (e) {
-        console.error(`Failed to save storage item: ${key}`, e);
+function persist(storeNames, callback, change, rollback) {
+    return runTransaction(storeNames, 'readwrite', callback).then(
+        () => broadcastChange(change),
+        (e) => {
+            console.error(`Failed to save storage item: ${storeNames}`, e);
+            rollback();
+            throw new Error('保存に失敗しました');
+        }
+    );
+}
+
+/**
+ * CSVプロファイル・取り込み履歴の取り込みの種類（記録がない旧データはデイユース）
+ * @param {Object} item - プロファイルまたは取り込み履歴
+ * @returns {string} 'dayuse' | 'stay'
+ */
+function importTypeOf(item) {
+    return item.importType || 'dayuse';
+}
+
+/**
+ * ホテル単位のデータ（デイユース・宿泊予約）をストア用のレコードに変換
+ * @param {string} hotelId - ホテルID
+ * @param {Object} item - データ
+ * @returns {Object} レコード
+ */
+function toHotelRecord(hotelId, item) {
+    return { ...item, hotelId };
+}
+
+/**
+ * ストアのレコードをホテル単位のデータに戻す
+ * @param {Object} record - レコード
+ * @returns {Object} データ
+ */
+function fromHotelRecord(record) {
+    const item = { ...record };
+    delete item.hotelId;
+    return item;
+}
+
+// ==========================================
+// 初期化・移行
+// ==========================================
+
+/**
+ * ストレージを初期化（アプリ起動時に1回呼び出す）
+ * - IndexedDBを開く
+ * - 旧LocalStorageのデータを移行
+ * - ホテル一覧・ホテル設定・当日入力をメモリに読み込む
+ * - スキーマバージョンが古い場合はマイグレーションを実行
+ * マイグレーションに失敗した場合は保存データを変更せずに例外を投げる
+ * @returns {Promise<void>}
+ */
+export async function initializeStorage() {
+    await openDatabase();
+    await migrateFromLocalStorage();
+    await loadCache();
+    await upgradeSchema();
+}
+
+/**
+ * 保存データを最新のスキーマバージョンに変換
+ * 全データをメモリ上で変換し、成功した場合のみ1つのトランザクションで書き戻す
+ * @returns {Promise<void>}
+ */
+async function upgradeSchema() {
+    const storedVersion = await runTransaction(STORES.META, 'readonly', (stores) => (
+        promisifyRequest(stores[STORES.META].get(META_KEYS.SCHEMA_VERSION))
+    ));
+    if (storedVersion === CURRENT_SCHEMA_VERSION) {
+        return;
     }
+
+    const snapshot = await exportAllData();
+    snapshot.schemaVersion = storedVersion ?? 1;
+
+    // 変換に失敗した場合はここで例外となり、何も書き込まない
+    const { data } = migrateData(snapshot);
+
+    // デイユース・宿泊予約は統合で書き戻す（上書きするとストアを空にして取り込み履歴も消え、取り消せなくなるため）
+    await writeAllData(data, { dayuseData: 'merge', stayData: 'merge' });
+    await loadCache();
+}
+
+/**
+ * 旧LocalStorageのデータをIndexedDBへ移行（1回のみ）
+ * 1つのトランザクションで書き込み、コミット後に旧データを削除する
+ * 書き込みに失敗した場合は旧データを残したままエラーを投げる
+ * @returns {Promise<void>}
+ */
+async function migrateFromLocalStorage() {
+    const legacy = {
+        hotels: getStorageItem(LEGACY_STORAGE_KEYS.HOTELS, null),
+        hotelSettings: getStorageItem(LEGACY_STORAGE_KEYS.HOTEL_SETTINGS, null),
+        dayuseData: getStorageItem(LEGACY_STORAGE_KEYS.DAYUSE_DATA, null),
+        dailyInput: getStorageItem(LEGACY_STORAGE_KEYS.DAILY_INPUT, null),
+    };
+
+    if (Object.values(legacy).every(value => value === null)) {
+        return;
+    }
+
+    await runTransaction(Object.values(STORES), 'readwrite', (stores) => {
+        if (legacy.hotels) {
+            stores[STORES.META].put(legacy.hotels, META_KEYS.HOTELS);
+        }
+
+        Object.entries(legacy.hotelSettings || {}).forEach(([hotelId, settings]) => {
+            stores[STORES.HOTEL_SETTINGS].put(settings, hotelId);
+        });
+
+        Object.entries(legacy.dayuseData || {}).forEach(([hotelId, items]) => {
+            items.forEach((item, index) => {
+                // IDのないデータ（appendDayuseDataで追加されたもの）も失わないよう採番
+                const id = item.id || `legacy_${index}`;
+                stores[STORES.DAYUSE].put(toHotelRecord(hotelId, { ...item, id }));
+            });
+        });
+
+        Object.entries(legacy.dailyInput || {}).forEach(([hotelId, inputs]) => {
+            Object.entries(inputs).forEach(([date, input]) => {
+                stores[STORES.DAILY_INPUT].put({ ...input, hotelId, date });
+            });
+        });
+
+        stores[STORES.META].put(new Date().toISOString(), META_KEYS.MIGRATED_AT);
+    });
+
+    // コミットが完了してから旧データを削除
+    Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * ホテル一覧・ホテル設定・当日入力をメモリに読み込む
+ * @returns {Promise<void>}
+ */
+async function loadCache() {
+    const loaded = await runTransaction(
+        [STORES.META, STORES.HOTEL_SETTINGS, STORES.DAILY_INPUT],
+        'readonly',
+        async (stores) => {
+            const [hotels, settingsKeys, settingsValues, dailyInputs] = await Promise.all([
+                promisifyRequest(stores[STORES.META].get(META_KEYS.HOTELS)),
+                promisifyRequest(stores[STORES.HOTEL_SETTINGS].getAllKeys()),
+                promisifyRequest(stores[STORES.HOTEL_SETTINGS].getAll()),
+                promisifyRequest(stores[STORES.DAILY_INPUT].getAll()),
+            ]);
+            return { hotels, settingsKeys, settingsValues, dailyInputs };
+        }
+    );
+
+    cache.hotels = loaded.hotels ?? null;
+
+    cache.hotelSettings = {};
+    loaded.settingsKeys.forEach((hotelId, index) => {
+        cache.hotelSettings[hotelId] = loaded.settingsValues[index];
+    });
+
+    cache.dailyInput = {};
+    loaded.dailyInputs.forEach(({ hotelId, date, ...input }) => {
+        if (!cache.dailyInput[hotelId]) {
+            cache.dailyInput[hotelId] = {};
+        }
+        cache.dailyInput[hotelId][date] = input;
+    });
 }
 
 // ==========================================
@@ -78,6 +380,34 @@ export function getPasswordHash() {
     return localStorage.getItem(STORAGE_KEYS.PASSWORD);
 }
 
+// ==========================================
+// ホテル一覧
+// ==========================================
+
+/**
+ * 保存されているホテル一覧を取得
+ * @returns {Array|null} ホテル一覧（未保存の場合null）
+ */
+export function getHotelList() {
+    return cache.hotels;
+}
+
+/**
+ * ホテル一覧を保存
+ * @param {Array} hotels - ホテル一覧（表示順）
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
+ */
+export function saveHotelList(hotels) {
+    const previous = cache.hotels;
+    cache.hotels = hotels;
+    return persist(STORES.META, (stores) => {
+        stores[STORES.META].put(hotels, META_KEYS.HOTELS);
+    }, { type: 'hotels', value: hotels }, () => {
+        // 後から別の保存があった場合はそちらを残す
+        if (cache.hotels === hotels) cache.hotels = previous;
+    });
+}
+
 // ==========================================
 // ホテル設定（月間目標など）
 // ==========================================
@@ -88,19 +418,30 @@ export function getPasswordHash() {
  * @returns {Object} 設定オブジェクト
  */
 export function getHotelSettings(hotelId) {
-    const allSettings = getStorageItem(STORAGE_KEYS.HOTEL_SETTINGS, {});
-    return allSettings[hotelId] || { monthlyTargets: {} };
+    const settings = cache.hotelSettings[hotelId];
+    // 呼び出し側で変更してもキャッシュに影響しないようコピーを返す
+    return settings ? structuredClone(settings) : { monthlyTargets: {} };
 }
 
 /**
  * ホテル設定を保存
  * @param {string} hotelId - ホテルID
  * @param {Object} settings - 設定オブジェクト
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
  */
 export function saveHotelSettings(hotelId, settings) {
-    const allSettings = getStorageItem(STORAGE_KEYS.HOTEL_SETTINGS, {});
-    allSettings[hotelId] = settings;
-    setStorageItem(STORAGE_KEYS.HOTEL_SETTINGS, allSettings);
+    const previous = cache.hotelSettings[hotelId];
+    cache.hotelSettings[hotelId] = settings;
+    return persist(STORES.HOTEL_SETTINGS, (stores) => {
+        stores[STORES.HOTEL_SETTINGS].put(settings, hotelId);
+    }, { type: 'hotelSettings', hotelId, value: settings }, () => {
+        if (cache.hotelSettings[hotelId] !== settings) return;
+        if (previous) {
+            cache.hotelSettings[hotelId] = previous;
+        } else {
+            delete cache.hotelSettings[hotelId];
+        }
+    });
 }
 
 /**
@@ -122,6 +463,7 @@ export function getMonthlyTarget(hotelId, year, month) {
  * @param {number} year - 年
  * @param {number} month - 月（1-12）
  * @param {number} target - 目標金額
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
  */
 export function saveMonthlyTarget(hotelId, year, month, target) {
     const settings = getHotelSettings(hotelId);
@@ -130,7 +472,291 @@ export function saveMonthlyTarget(hotelId, year, month, target) {
         settings.monthlyTargets = {};
     }
     settings.monthlyTargets[key] = target;
-    saveHotelSettings(hotelId, settings);
+    return saveHotelSettings(hotelId, settings);
+}
+
+/**
+ * ペース配分（月初からの実績を日次目標に反映）が有効か取得
+ * @param {string} hotelId - ホテルID
+ * @returns {boolean}
+ */
+export function getPacingEnabled(hotelId) {
+    return getHotelSettings(hotelId).pacingEnabled === true;
+}
+
+/**
+ * ペース配分の有効/無効を保存
+ * @param {string} hotelId - ホテルID
+ * @param {boolean} enabled - 有効ならtrue
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
+ */
+export function savePacingEnabled(hotelId, enabled) {
+    const settings = getHotelSettings(hotelId);
+    settings.pacingEnabled = enabled;
+    return saveHotelSettings(hotelId, settings);
+}
+
+/**
+ * 曜日・祝日別の目標配分係数を取得
+ * @param {string} hotelId - ホテルID
+ * @returns {Object|null} { weekdays: number[7], holiday: number }（未設定の場合null＝均等割）
+ */
+export function getDayWeights(hotelId) {
+    return getHotelSettings(hotelId).dayWeights || null;
+}
+
+/**
+ * 曜日・祝日別の目標配分係数を保存
+ * @param {string} hotelId - ホテルID
+ * @param {Object|null} weights - 配分係数（nullで均等割に戻す）
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
+ */
+export function saveDayWeights(hotelId, weights) {
+    const settings = getHotelSettings(hotelId);
+    settings.dayWeights = weights;
+    return saveHotelSettings(hotelId, settings);
+}
+
+/**
+ * デイユースの予測設定を取得
+ * @param {string} hotelId - ホテルID
+ * @returns {Object|null} { method, halfLifeDays }（未設定の場合null＝過去平均）
+ */
+export function getPredictionSettings(hotelId) {
+    return getHotelSettings(hotelId).predictionSettings || null;
+}
+
+/**
+ * デイユースの予測設定を保存
+ * @param {string} hotelId - ホテルID
+ * @param {Object|null} predictionSettings - 予測設定（nullで過去平均に戻す）
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
+ */
+export function savePredictionSettings(hotelId, predictionSettings) {
+    const settings = getHotelSettings(hotelId);
+    settings.predictionSettings = predictionSettings;
+    return saveHotelSettings(hotelId, settings);
+}
+
+/**
+ * CSV取り込みを中止する除外率の上限を取得
+ * @param {string} hotelId - ホテルID
+ * @returns {number} 上限（%）
+ */
+export function getImportRejectLimit(hotelId) {
+    return getHotelSettings(hotelId).importRejectLimit ?? DEFAULT_IMPORT_REJECT_LIMIT;
+}
+
+/**
+ * CSV取り込みを中止する除外率の上限を保存
+ * @param {string} hotelId - ホテルID
+ * @param {number} limit - 上限（%）
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
+ */
+export function saveImportRejectLimit(hotelId, limit) {
+    const settings = getHotelSettings(hotelId);
+    settings.importRejectLimit = limit;
+    return saveHotelSettings(hotelId, settings);
+}
+
+/**
+ * CSV列マッピングのプロファイル一覧を取得
+ * @param {string} hotelId - ホテルID
+ * @param {string} [importType] - 取り込みの種類（省略時はすべて）
+ * @returns {Array} [{ id, importType, name, headers, mapping, updatedAt }]
+ */
+export function getCsvProfiles(hotelId, importType) {
+    const profiles = getHotelSettings(hotelId).csvProfiles || [];
+    return importType ? profiles.filter((p) => importTypeOf(p) === importType) : profiles;
+}
+
+/**
+ * CSV列マッピングのプロファイルを保存（同じ種類・同名のプロファイルは上書き）
+ * @param {string} hotelId - ホテルID
+ * @param {Object} profile - { importType, name, headers, mapping }
+ * @returns {Promise<Object>} 保存したプロファイル（IndexedDBへの書き込み完了後）
+ */
+export async function saveCsvProfile(hotelId, profile) {
+    const settings = getHotelSettings(hotelId);
+    const profiles = settings.csvProfiles || [];
+    const existing = profiles.find((p) => (
+        p.name === profile.name && importTypeOf(p) === importTypeOf(profile)
+    ));
+    const saved = {
+        ...profile,
+        id: existing?.id || `profile_${Date.now().toString(36)}`,
+        updatedAt: new Date().toISOString(),
+    };
+    settings.csvProfiles = existing
+        ? profiles.map((p) => (p.id === existing.id ? saved : p))
+        : [...profiles, saved];
+    await saveHotelSettings(hotelId, settings);
+    return saved;
+}
+
+/**
+ * CSV列マッピングのプロファイルを削除
+ * @param {string} hotelId - ホテルID
+ * @param {string} profileId - プロファイルID
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
+ */
+export function deleteCsvProfile(hotelId, profileId) {
+    const settings = getHotelSettings(hotelId);
+    settings.csvProfiles = (settings.csvProfiles || []).filter((p) => p.id !== profileId);
+    return saveHotelSettings(hotelId, settings);
+}
+
+// ==========================================
+// 取り込みデータ共通（デイユース・宿泊予約）
+// ==========================================
+
+/**
+ * 取り込み履歴を種類を指定して削除
+ * @param {IDBObjectStore} store - 取り込み履歴ストア
+ * @param {string} importType - 取り込みの種類
+ * @param {IDBKeyRange} [range] - 対象範囲（省略時は全ホテル）
+ */
+function deleteImportHistory(store, importType, range) {
+    const request = store.openCursor(range);
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (importTypeOf(cursor.value) === importType) {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * 取り込み履歴を新しい順に MAX_IMPORT_HISTORY 件まで残し、古いものを削除
+ * @param {IDBObjectStore} store - 取り込み履歴ストア
+ * @param {string} importType - 取り込みの種類
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<void>}
+ */
+async function pruneImportHistory(store, importType, hotelId) {
+    const entries = await promisifyRequest(store.getAll(hotelKeyRange(hotelId)));
+    entries
+        .filter((entry) => importTypeOf(entry) === importType)
+        .sort((a, b) => b.importedAt.localeCompare(a.importedAt))
+        .slice(MAX_IMPORT_HISTORY)
+        .forEach((entry) => store.delete([hotelId, entry.id]));
+}
+
+/**
+ * 取り込みデータを取得
+ * @param {string} importType - 取り込みの種類
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<Array>}
+ */
+async function getImportedData(importType, hotelId) {
+    const storeName = IMPORT_STORES[importType];
+    const records = await runTransaction(storeName, 'readonly', (stores) => (
+        promisifyRequest(stores[storeName].index('hotelId').getAll(hotelId))
+    ));
+    return records.map(fromHotelRecord);
+}
+
+/**
+ * 取り込みデータの件数を取得
+ * @param {string} importType - 取り込みの種類
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<number>}
+ */
+function getImportedDataCount(importType, hotelId) {
+    const storeName = IMPORT_STORES[importType];
+    return runTransaction(storeName, 'readonly', (stores) => (
+        promisifyRequest(stores[storeName].index('hotelId').count(hotelId))
+    ));
+}
+
+/**
+ * 取り込みデータをIDベースでマージ（重複は上書き、新規は追加）
+ * 取り込み履歴として追加したID・更新前のデータを同じトランザクションで記録する
+ * （履歴は MAX_IMPORT_HISTORY 件まで）
+ * @param {string} importType - 取り込みの種類
+ * @param {string} hotelId - ホテルID
+ * @param {Array} newData - 新しいデータ配列（各要素にidプロパティ必須）
+ * @param {Object} [source] - 取り込み元 { fileName }
+ * @returns {Promise<Object>} { importId: string, added: number, updated: number, total: number }
+ */
+async function mergeImportedData(importType, hotelId, newData, source = {}) {
+    const storeName = IMPORT_STORES[importType];
+    const result = await runTransaction([storeName, STORES.IMPORT_HISTORY], 'readwrite', async (stores) => {
+        const store = stores[storeName];
+        const existingData = await promisifyRequest(store.index('hotelId').getAll(hotelId));
+
+        // 既存データをIDでマップ化
+        const dataMap = new Map();
+        existingData.forEach(record => {
+            dataMap.set(record.id, record);
+        });
+
+        const addedIds = [];
+        const previous = []; // 更新前のデータ（取り消し時に書き戻す）
+        const touched = new Set();
+
+        // 新しいデータをマージ
+        newData.forEach(item => {
+            if (!item.id) return; // IDがない場合はスキップ
+
+            if (dataMap.has(item.id)) {
+                // 既存データを上書き（同じファイル内の重複IDは最初の更新前データを残す）
+                const current = dataMap.get(item.id);
+                if (!touched.has(item.id)) {
+                    previous.push(fromHotelRecord(current));
+                }
+                const record = { ...current, ...toHotelRecord(hotelId, item) };
+                dataMap.set(item.id, record);
+                store.put(record);
+            } else {
+                // 新規データを追加
+                const record = toHotelRecord(hotelId, item);
+                dataMap.set(item.id, record);
+                store.put(record);
+                addedIds.push(item.id);
+            }
+            touched.add(item.id);
+        });
+
+        const importId = `import_${Date.now().toString(36)}`;
+        stores[STORES.IMPORT_HISTORY].put({
+            hotelId,
+            id: importId,
+            importType,
+            fileName: source.fileName || '',
+            importedAt: new Date().toISOString(),
+            addedIds,
+            previous,
+            undoneAt: null,
+        });
+        await pruneImportHistory(stores[STORES.IMPORT_HISTORY], importType, hotelId);
+
+        return {
+            importId,
+            added: addedIds.length,
+            updated: previous.length,
+            total: dataMap.size,
+        };
+    });
+    broadcastChange({ type: importType, hotelId });
+    return result;
+}
+
+/**
+ * 取り込みデータを削除（取り消せなくなるため取り込み履歴も削除）
+ * @param {string} importType - 取り込みの種類
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<void>}
+ */
+async function clearImportedData(importType, hotelId) {
+    const storeName = IMPORT_STORES[importType];
+    await runTransaction([storeName, STORES.IMPORT_HISTORY], 'readwrite', (stores) => {
+        stores[storeName].delete(hotelKeyRange(hotelId));
+        deleteImportHistory(stores[STORES.IMPORT_HISTORY], importType, hotelKeyRange(hotelId));
+    });
+    broadcastChange({ type: importType, hotelId });
 }
 
 // ==========================================
@@ -140,98 +766,327 @@ export function saveMonthlyTarget(hotelId, year, month, target) {
 /**
  * デイユースデータを取得
  * @param {string} hotelId - ホテルID
- * @returns {Array} デイユースデータ配列
+ * @returns {Promise<Array>} デイユースデータ配列
  */
 export function getDayuseData(hotelId) {
-    const allData = getStorageItem(STORAGE_KEYS.DAYUSE_DATA, {});
-    return allData[hotelId] || [];
+    return getImportedData('dayuse', hotelId);
 }
 
 /**
- * デイユースデータを保存（上書き）
+ * 期間を指定してデイユースデータを取得
+ * @param {string} hotelId - ホテルID
+ * @param {string} startDate - 開始日 (YYYY-MM-DD)
+ * @param {string} endDate - 終了日 (YYYY-MM-DD、この日を含む)
+ * @returns {Promise<Array>} デイユースデータ配列（日付順）
+ */
+export async function getDayuseDataInRange(hotelId, startDate, endDate) {
+    const range = IDBKeyRange.bound([hotelId, startDate], [hotelId, endDate]);
+    const records = await runTransaction(STORES.DAYUSE, 'readonly', (stores) => (
+        promisifyRequest(stores[STORES.DAYUSE].index('hotelId_date').getAll(range))
+    ));
+    return records.map(fromHotelRecord);
+}
+
+/**
+ * デイユースデータを保存（上書き。取り込み履歴は削除する）
  * @param {string} hotelId - ホテルID
  * @param {Array} data - デイユースデータ配列
+ * @returns {Promise<void>}
  */
-export function saveDayuseData(hotelId, data) {
-    const allData = getStorageItem(STORAGE_KEYS.DAYUSE_DATA, {});
-    allData[hotelId] = data;
-    setStorageItem(STORAGE_KEYS.DAYUSE_DATA, allData);
+export async function saveDayuseData(hotelId, data) {
+    await runTransaction([STORES.DAYUSE, STORES.IMPORT_HISTORY], 'readwrite', (stores) => {
+        const store = stores[STORES.DAYUSE];
+        store.delete(hotelKeyRange(hotelId));
+        data.forEach(item => store.put(toHotelRecord(hotelId, item)));
+        deleteImportHistory(stores[STORES.IMPORT_HISTORY], 'dayuse', hotelKeyRange(hotelId));
+    });
+    broadcastChange({ type: 'dayuse', hotelId });
 }
 
 /**
  * デイユースデータをIDベースでマージ（重複は上書き、新規は追加）
  * @param {string} hotelId - ホテルID
  * @param {Array} newData - 新しいデータ配列（各要素にidプロパティ必須）
- * @returns {Object} { added: number, updated: number, total: number }
+ * @param {Object} [source] - 取り込み元 { fileName }
+ * @returns {Promise<Object>} { importId: string, added: number, updated: number, total: number }
+ */
+export function mergeDayuseData(hotelId, newData, source) {
+    return mergeImportedData('dayuse', hotelId, newData, source);
+}
+
+/**
+ * デイユースデータを追加
+ * @param {string} hotelId - ホテルID
+ * @param {Array} newData - 追加するデータ配列（同一IDは上書きされる）
+ * @returns {Promise<void>}
  */
-export function mergeDayuseData(hotelId, newData) {
-    const existingData = getDayuseData(hotelId);
+export async function appendDayuseData(hotelId, newData) {
+    await runTransaction(STORES.DAYUSE, 'readwrite', (stores) => {
+        newData.forEach((item, index) => {
+            const id = item.id || `append_${Date.now().toString(36)}_${index}`;
+            stores[STORES.DAYUSE].put(toHotelRecord(hotelId, { ...item, id }));
+        });
+    });
+    broadcastChange({ type: 'dayuse', hotelId });
+}
 
-    // 既存データをIDでマップ化
-    const dataMap = new Map();
-    existingData.forEach(item => {
-        if (item.id) {
-            dataMap.set(item.id, item);
+/**
+ * デイユースデータを削除
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<void>}
+ */
+export function clearDayuseData(hotelId) {
+    return clearImportedData('dayuse', hotelId);
+}
+
+/**
+ * デイユースの予約を1件更新
+ * @param {string} hotelId - ホテルID
+ * @param {string} id - 予約ID
+ * @param {Object} changes - 変更する項目（idは変更できない）
+ * @returns {Promise<Object>} 更新後のデータ
+ */
+export async function updateDayuseRecord(hotelId, id, changes) {
+    const record = await runTransaction(STORES.DAYUSE, 'readwrite', async (stores) => {
+        const store = stores[STORES.DAYUSE];
+        const current = await promisifyRequest(store.get([hotelId, id]));
+        if (!current) {
+            throw new Error('予約が見つかりません');
         }
+        const updated = { ...current, ...changes, id, hotelId };
+        store.put(updated);
+        return updated;
     });
+    broadcastChange({ type: 'dayuse', hotelId });
+    return fromHotelRecord(record);
+}
 
-    let added = 0;
-    let updated = 0;
+/**
+ * デイユースの予約をIDを指定して削除
+ * @param {string} hotelId - ホテルID
+ * @param {string[]} ids - 予約ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDayuseRecords(hotelId, ids) {
+    await runTransaction(STORES.DAYUSE, 'readwrite', (stores) => {
+        ids.forEach((id) => stores[STORES.DAYUSE].delete([hotelId, id]));
+    });
+    broadcastChange({ type: 'dayuse', hotelId });
+}
 
-    // 新しいデータをマージ
-    newData.forEach(item => {
-        if (!item.id) return; // IDがない場合はスキップ
+/**
+ * 期間を指定してデイユースデータを削除
+ * @param {string} hotelId - ホテルID
+ * @param {string} startDate - 開始日 (YYYY-MM-DD)
+ * @param {string} endDate - 終了日 (YYYY-MM-DD、この日を含む)
+ * @returns {Promise<number>} 削除した件数
+ */
+export async function deleteDayuseDataInRange(hotelId, startDate, endDate) {
+    const range = IDBKeyRange.bound([hotelId, startDate], [hotelId, endDate]);
+    const count = await runTransaction(STORES.DAYUSE, 'readwrite', async (stores) => {
+        const store = stores[STORES.DAYUSE];
+        const keys = await promisifyRequest(store.index('hotelId_date').getAllKeys(range));
+        keys.forEach((key) => store.delete(key));
+        return keys.length;
+    });
+    broadcastChange({ type: 'dayuse', hotelId });
+    return count;
+}
 
-        if (dataMap.has(item.id)) {
-            // 既存データを上書き
-            dataMap.set(item.id, { ...dataMap.get(item.id), ...item });
-            updated++;
-        } else {
-            // 新規データを追加
-            dataMap.set(item.id, item);
-            added++;
-        }
+/**
+ * デイユースの予約を予測に使うかを設定
+ * @param {string} hotelId - ホテルID
+ * @param {string[]} ids - 予約ID
+ * @param {boolean} exclude - 予測に使わない場合true
+ * @returns {Promise<void>}
+ */
+export async function setDayuseExcludeFromPrediction(hotelId, ids, exclude) {
+    await runTransaction(STORES.DAYUSE, 'readwrite', async (stores) => {
+        const store = stores[STORES.DAYUSE];
+        const records = await Promise.all(ids.map((id) => promisifyRequest(store.get([hotelId, id]))));
+        records.forEach((record) => {
+            if (record) store.put({ ...record, excludeFromPrediction: exclude });
+        });
     });
+    broadcastChange({ type: 'dayuse', hotelId });
+}
 
-    // マップを配列に変換して保存
-    const mergedData = Array.from(dataMap.values());
-    saveDayuseData(hotelId, mergedData);
+/**
+ * 他のホテルに登録済みのデイユースの予約IDを取得（取り込み時の重複チェック用）
+ * @param {string} hotelId - 取り込み先のホテルID
+ * @returns {Promise<Array>} [[id, hotelId], ...]
+ */
+export async function getOtherHotelDayuseIds(hotelId) {
+    const keys = await runTransaction(STORES.DAYUSE, 'readonly', (stores) => (
+        promisifyRequest(stores[STORES.DAYUSE].getAllKeys())
+    ));
+    return keys
+        .filter(([keyHotelId]) => keyHotelId !== hotelId)
+        .map(([keyHotelId, id]) => [id, keyHotelId]);
+}
 
-    return {
-        added,
-        updated,
-        total: mergedData.length,
-    };
+/**
+ * デイユースデータの件数を取得
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<number>}
+ */
+export function getDayuseDataCount(hotelId) {
+    return getImportedDataCount('dayuse', hotelId);
+}
+
+// ==========================================
+// 宿泊予約データ（CSVからインポート）
+// ==========================================
+
+/**
+ * 宿泊予約データを取得
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<Array>} [{ id, date: チェックイン日, nights, rooms, amount, room_type? }]
+ */
+export function getStayData(hotelId) {
+    return getImportedData('stay', hotelId);
 }
 
 /**
- * デイユースデータを追加
+ * 宿泊予約データをIDベースでマージ（重複は上書き、新規は追加）
  * @param {string} hotelId - ホテルID
- * @param {Array} newData - 追加するデータ配列
+ * @param {Array} newData - 新しいデータ配列（各要素にidプロパティ必須）
+ * @param {Object} [source] - 取り込み元 { fileName }
+ * @returns {Promise<Object>} { importId: string, added: number, updated: number, total: number }
  */
-export function appendDayuseData(hotelId, newData) {
-    const existingData = getDayuseData(hotelId);
-    const combinedData = [...existingData, ...newData];
-    saveDayuseData(hotelId, combinedData);
+export function mergeStayData(hotelId, newData, source) {
+    return mergeImportedData('stay', hotelId, newData, source);
 }
 
 /**
- * デイユースデータを削除
+ * 宿泊予約データを削除
  * @param {string} hotelId - ホテルID
+ * @returns {Promise<void>}
  */
-export function clearDayuseData(hotelId) {
-    const allData = getStorageItem(STORAGE_KEYS.DAYUSE_DATA, {});
-    delete allData[hotelId];
-    setStorageItem(STORAGE_KEYS.DAYUSE_DATA, allData);
+export function clearStayData(hotelId) {
+    return clearImportedData('stay', hotelId);
 }
 
 /**
- * デイユースデータの件数を取得
+ * 宿泊予約データの件数を取得
+ * @param {string} hotelId - ホテルID
+ * @returns {Promise<number>}
+ */
+export function getStayDataCount(hotelId) {
+    return getImportedDataCount('stay', hotelId);
+}
+
+// ==========================================
+// 取り込み履歴
+// ==========================================
+
+/**
+ * 取り込み履歴を取得
+ * @param {string} hotelId - ホテルID
+ * @param {string} importType - 取り込みの種類（dayuse / stay）
+ * @returns {Promise<Array>} [{ hotelId, id, importType, fileName, importedAt, addedIds, previous, undoneAt }]（新しい順）
+ */
+export async function getImportHistory(hotelId, importType) {
+    const entries = await runTransaction(STORES.IMPORT_HISTORY, 'readonly', (stores) => (
+        promisifyRequest(stores[STORES.IMPORT_HISTORY].getAll(hotelKeyRange(hotelId)))
+    ));
+    return entries
+        .filter((entry) => importTypeOf(entry) === importType)
+        .sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+}
+
+/**
+ * 取り込みを取り消し、影響したデータを取り込み前の状態に戻す
+ * - 追加したデータは削除し、更新したデータは更新前の内容に戻す
+ * - 後の取り込みで同じデータが変更されていても、この取り込みの前の内容に戻す
+ *   （戻したデータは後の取り込みの履歴から外し、その取り消しで再び変わらないようにする）
  * @param {string} hotelId - ホテルID
+ * @param {string} importId - 取り込み履歴のID
+ * @returns {Promise<Object>} { removed: number, restored: number }
+ */
+export async function undoImport(hotelId, importId) {
+    const entry = await runTransaction(STORES.IMPORT_HISTORY, 'readonly', (stores) => (
+        promisifyRequest(stores[STORES.IMPORT_HISTORY].get([hotelId, importId]))
+    ));
+    if (!entry) {
+        throw new Error('取り込み履歴が見つかりません');
+    }
+    const importType = importTypeOf(entry);
+    const storeName = IMPORT_STORES[importType];
+
+    const result = await runTransaction([storeName, STORES.IMPORT_HISTORY], 'readwrite', async (stores) => {
+        const historyStore = stores[STORES.IMPORT_HISTORY];
+        const entries = await promisifyRequest(historyStore.getAll(hotelKeyRange(hotelId)));
+        const current = entries.find((e) => e.id === importId);
+        if (current.undoneAt) {
+            throw new Error('この取り込みは既に取り消されています');
+        }
+
+        const store = stores[storeName];
+        current.addedIds.forEach((id) => store.delete([hotelId, id]));
+        current.previous.forEach((item) => store.put(toHotelRecord(hotelId, item)));
+
+        const affected = new Set([...current.addedIds, ...current.previous.map((item) => item.id)]);
+        entries
+            .filter((e) => importTypeOf(e) === importType && !e.undoneAt && e.importedAt > current.importedAt)
+            .forEach((later) => {
+                historyStore.put({
+                    ...later,
+                    addedIds: later.addedIds.filter((id) => !affected.has(id)),
+                    previous: later.previous.filter((item) => !affected.has(item.id)),
+                });
+            });
+
+        historyStore.put({ ...current, undoneAt: new Date().toISOString() });
+        return { removed: current.addedIds.length, restored: current.previous.length };
+    });
+    broadcastChange({ type: importType, hotelId });
+    return result;
+}
+
+/**
+ * 後の取り込みでも変更されたデータの件数（取り消すとその変更も元に戻る）
+ * @param {Array} history - getImportHistory の結果
+ * @param {Object} entry - 取り消す取り込み
  * @returns {number}
  */
-export function getDayuseDataCount(hotelId) {
-    return getDayuseData(hotelId).length;
+export function countLaterChanges(history, entry) {
+    const affected = new Set([...entry.addedIds, ...entry.previous.map((item) => item.id)]);
+    const changed = new Set();
+    history
+        .filter((e) => !e.undoneAt && e.importedAt > entry.importedAt)
+        .forEach((later) => {
+            [...later.addedIds, ...later.previous.map((item) => item.id)]
+                .filter((id) => affected.has(id))
+                .forEach((id) => changed.add(id));
+        });
+    return changed.size;
+}
+
+// ==========================================
+// 取り込みファイル
+// ==========================================
+
+/**
+ * 取り込めるファイルサイズの上限を取得
+ * 一度に読み込める上限（MAX_IMPORT_SIZE）と、ブラウザが割り当てる保存容量の空きの小さい方
+ * @returns {Promise<Object>} { limit: バイト数, reason: 'memory'（読み込みの上限） | 'quota'（保存容量の空き） }
+ */
+export async function getImportSizeLimit() {
+    const memoryLimit = { limit: MAX_IMPORT_SIZE, reason: 'memory' };
+    if (!navigator.storage?.estimate) {
+        return memoryLimit;
+    }
+    try {
+        const { quota, usage } = await navigator.storage.estimate();
+        const available = Math.max(0, quota - (usage || 0));
+        if (quota && available < MAX_IMPORT_SIZE) {
+            return { limit: available, reason: 'quota' };
+        }
+    } catch (e) {
+        console.error('Failed to estimate storage quota', e);
+    }
+    return memoryLimit;
 }
 
 // ==========================================
@@ -245,8 +1100,7 @@ export function getDayuseDataCount(hotelId) {
  * @returns {Object} 入力データ
  */
 export function getDailyInput(hotelId, dateStr) {
-    const allData = getStorageItem(STORAGE_KEYS.DAILY_INPUT, {});
-    return allData[hotelId]?.[dateStr] || {
+    return cache.dailyInput[hotelId]?.[dateStr] || {
         dayuseCount: null,
         dayuseAvgPrice: null,
         stayCount: null,
@@ -254,54 +1108,207 @@ export function getDailyInput(hotelId, dateStr) {
     };
 }
 
+/**
+ * 指定月の当日入力データをすべて取得
+ * @param {string} hotelId - ホテルID
+ * @param {number} year - 年
+ * @param {number} month - 月（1-12）
+ * @returns {Object} { 'YYYY-MM-DD': 入力データ, ... }
+ */
+export function getMonthlyDailyInputs(hotelId, year, month) {
+    const prefix = `${year}-${String(month).padStart(2, '0')}-`;
+    const result = {};
+    Object.entries(cache.dailyInput[hotelId] || {}).forEach(([dateStr, input]) => {
+        if (dateStr.startsWith(prefix)) {
+            result[dateStr] = input;
+        }
+    });
+    return result;
+}
+
 /**
  * 当日入力データを保存
  * @param {string} hotelId - ホテルID
  * @param {string} dateStr - 日付文字列 (YYYY-MM-DD)
  * @param {Object} input - 入力データ
+ * @returns {Promise<void>} IndexedDBへの書き込み完了
  */
 export function saveDailyInput(hotelId, dateStr, input) {
-    const allData = getStorageItem(STORAGE_KEYS.DAILY_INPUT, {});
-    if (!allData[hotelId]) {
-        allData[hotelId] = {};
-    }
-    allData[hotelId][dateStr] = {
+    const saved = {
         ...getDailyInput(hotelId, dateStr),
         ...input,
         updatedAt: new Date().toISOString(),
     };
-    setStorageItem(STORAGE_KEYS.DAILY_INPUT, allData);
+    if (!cache.dailyInput[hotelId]) {
+        cache.dailyInput[hotelId] = {};
+    }
+    const inputs = cache.dailyInput[hotelId];
+    const previous = inputs[dateStr];
+    inputs[dateStr] = saved;
+
+    return persist(STORES.DAILY_INPUT, (stores) => {
+        stores[STORES.DAILY_INPUT].put({ ...saved, hotelId, date: dateStr });
+    }, { type: 'dailyInput', hotelId, date: dateStr, value: saved }, () => {
+        if (inputs[dateStr] !== saved) return;
+        if (previous) {
+            inputs[dateStr] = previous;
+        } else {
+            delete inputs[dateStr];
+        }
+    });
 }
 
 // ==========================================
 // エクスポート用
 // ==========================================
 
+/**
+ * CSVプロファイルを統合（同じ種類・同名のものはバックアップ側を採用）
+ * @param {Array} [current] - 現在のプロファイル
+ * @param {Array} [incoming] - バックアップのプロファイル
+ * @returns {Array|undefined}
+ */
+function mergeCsvProfiles(current, incoming) {
+    if (!current || !incoming) return incoming || current;
+    const profileKey = (p) => `${importTypeOf(p)}:${p.name}`;
+    const keys = new Set(incoming.map(profileKey));
+    return [...current.filter((p) => !keys.has(profileKey(p))), ...incoming];
+}
+
 /**
  * すべてのデータをエクスポート（バックアップ用）
- * @returns {Object} 全データオブジェクト
+ * @returns {Promise<Object>} 全データオブジェクト
  */
-export function exportAllData() {
+export async function exportAllData() {
+    const [dayuseRecords, stayRecords] = await runTransaction(
+        [STORES.DAYUSE, STORES.STAY],
+        'readonly',
+        (stores) => Promise.all([
+            promisifyRequest(stores[STORES.DAYUSE].getAll()),
+            promisifyRequest(stores[STORES.STAY].getAll()),
+        ])
+    );
+
+    // ホテルごとにまとめる
+    const groupByHotel = (records) => {
+        const grouped = {};
+        records.forEach(record => {
+            if (!grouped[record.hotelId]) {
+                grouped[record.hotelId] = [];
+            }
+            grouped[record.hotelId].push(fromHotelRecord(record));
+        });
+        return grouped;
+    };
+
     return {
-        hotelSettings: getStorageItem(STORAGE_KEYS.HOTEL_SETTINGS, {}),
-        dayuseData: getStorageItem(STORAGE_KEYS.DAYUSE_DATA, {}),
-        dailyInput: getStorageItem(STORAGE_KEYS.DAILY_INPUT, {}),
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        hotels: cache.hotels,
+        hotelSettings: structuredClone(cache.hotelSettings),
+        dayuseData: groupByHotel(dayuseRecords),
+        stayData: groupByHotel(stayRecords),
+        dailyInput: structuredClone(cache.dailyInput),
         exportedAt: new Date().toISOString(),
     };
 }
 
 /**
  * データをインポート（復元用）
+ * 古いバージョンのバックアップは最新のスキーマに変換してから取り込む
+ * 項目ごとに復元方法を指定できる（省略時は含まれている項目を上書き）
+ * - overwrite: 既存データを置き換える
+ * - merge: 既存データに統合する（同じホテル・ID・日付はバックアップの内容で上書き）
+ * - skip: 取り込まない
  * @param {Object} data - インポートするデータ
+ * @param {Object} [modes] - 項目ごとの復元方法 { hotels, hotelSettings, dayuseData, stayData, dailyInput }
+ * @returns {Promise<Object>} { fromVersion: number, applied: string[] } 適用したマイグレーション
  */
-export function importAllData(data) {
-    if (data.hotelSettings) {
-        setStorageItem(STORAGE_KEYS.HOTEL_SETTINGS, data.hotelSettings);
-    }
-    if (data.dayuseData) {
-        setStorageItem(STORAGE_KEYS.DAYUSE_DATA, data.dayuseData);
-    }
-    if (data.dailyInput) {
-        setStorageItem(STORAGE_KEYS.DAILY_INPUT, data.dailyInput);
-    }
+export async function importAllData(data, modes = {}) {
+    const { data: migrated, fromVersion, applied } = migrateData(data);
+    await writeAllData(migrated, modes);
+    await loadCache();
+    broadcastChange({ type: 'all' });
+    return { fromVersion, applied };
+}
+
+/**
+ * ホテル一覧を統合（同じIDはバックアップの内容で上書きし、新しいホテルは末尾に追加）
+ * @param {Array} existing - 既存のホテル一覧
+ * @param {Array} incoming - 取り込むホテル一覧
+ * @returns {Array} 統合後のホテル一覧
+ */
+function mergeHotelLists(existing, incoming) {
+    const incomingMap = new Map(incoming.map(hotel => [hotel.id, hotel]));
+    const merged = existing.map(hotel => incomingMap.get(hotel.id) || hotel);
+    incoming.forEach((hotel) => {
+        if (!existing.some(h => h.id === hotel.id)) {
+            merged.push(hotel);
+        }
+    });
+    return merged;
+}
+
+/**
+ * エクスポート形式のデータを1つのトランザクションで書き込む
+ * 項目ごとに上書き・統合・スキップを選択し、スキーマバージョンを記録する
+ * @param {Object} data - 最新スキーマのデータ
+ * @param {Object} [modes] - 項目ごとの復元方法（省略時は上書き）
+ * @returns {Promise<void>}
+ */
+async function writeAllData(data, modes = {}) {
+    const modeOf = (section) => (data[section] ? modes[section] || 'overwrite' : 'skip');
+
+    await runTransaction(Object.values(STORES), 'readwrite', (stores) => {
+        stores[STORES.META].put(data.schemaVersion, META_KEYS.SCHEMA_VERSION);
+
+        if (modeOf('hotels') !== 'skip') {
+            const hotels = modeOf('hotels') === 'merge'
+                ? mergeHotelLists(cache.hotels || [], data.hotels)
+                : data.hotels;
+            stores[STORES.META].put(hotels, META_KEYS.HOTELS);
+        }
+
+        if (modeOf('hotelSettings') !== 'skip') {
+            const isMerge = modeOf('hotelSettings') === 'merge';
+            if (!isMerge) {
+                stores[STORES.HOTEL_SETTINGS].clear();
+            }
+            Object.entries(data.hotelSettings).forEach(([hotelId, settings]) => {
+                const existing = isMerge ? cache.hotelSettings[hotelId] : null;
+                const merged = existing
+                    ? {
+                        ...existing,
+                        ...settings,
+                        monthlyTargets: { ...existing.monthlyTargets, ...settings.monthlyTargets },
+                        csvProfiles: mergeCsvProfiles(existing.csvProfiles, settings.csvProfiles),
+                    }
+                    : settings;
+                stores[STORES.HOTEL_SETTINGS].put(merged, hotelId);
+            });
+        }
+
+        // デイユース・宿泊予約（置き換えたデータの取り込み履歴は取り消せないため削除）
+        [['dayuseData', 'dayuse'], ['stayData', 'stay']].forEach(([section, importType]) => {
+            if (modeOf(section) === 'skip') return;
+            const store = stores[IMPORT_STORES[importType]];
+            if (modeOf(section) === 'overwrite') {
+                store.clear();
+                deleteImportHistory(stores[STORES.IMPORT_HISTORY], importType);
+            }
+            Object.entries(data[section]).forEach(([hotelId, items]) => {
+                items.forEach(item => store.put(toHotelRecord(hotelId, item)));
+            });
+        });
+
+        if (modeOf('dailyInput') !== 'skip') {
+            if (modeOf('dailyInput') === 'overwrite') {
+                stores[STORES.DAILY_INPUT].clear();
+            }
+            Object.entries(data.dailyInput).forEach(([hotelId, inputs]) => {
+                Object.entries(inputs).forEach(([date, input]) => {
+                    stores[STORES.DAILY_INPUT].put({ ...input, hotelId, date });
+                });
+            });
+        }
+    });
 }
@@ -0,0 +1,194 @@
+/**
+ * 日次目標の計算ロジック
+ * 月間目標の曜日・祝日別配分と、月初からの実績を反映したペース配分
+ */
+
+import { isHolidaySync, preloadHolidays } from './holidays';
+import { getDayOfWeekStats, getHolidayStats } from './prediction';
+
+/**
+ * 曜日・祝日別の配分係数
+ * @typedef {Object} DayWeights
+ * @property {number[]} weekdays - 曜日別係数（0=日曜 〜 6=土曜）
+ * @property {number} holiday - 祝日の係数
+ */
+
+/**
+ * 均等割の配分係数
+ * @type {DayWeights}
+ */
+export const EVEN_DAY_WEIGHTS = {
+    weekdays: [1, 1, 1, 1, 1, 1, 1],
+    holiday: 1,
+};
+
+/**
+ * 指定日の配分係数を取得
+ * @param {Date} date - 日付
+ * @param {DayWeights} weights - 配分係数
+ * @returns {number} 係数
+ */
+function getDayWeight(date, weights) {
+    if (isHolidaySync(date)) {
+        return weights.holiday;
+    }
+    return weights.weekdays[date.getDay()];
+}
+
+/**
+ * 月間目標を日別目標に配分（合計は月間目標と一致）
+ * 祝日判定は事前に対象年の祝日をプリロードしておくこと
+ * @param {number} monthlyTarget - 月間目標
+ * @param {number} year - 年
+ * @param {number} month - 月（1-12）
+ * @param {DayWeights} [weights] - 配分係数（省略時は均等割）
+ * @returns {number[]} 日別目標（インデックス0が1日）
+ */
+export function splitMonthlyTarget(monthlyTarget, year, month, weights = EVEN_DAY_WEIGHTS) {
+    const daysInMonth = new Date(year, month, 0).getDate();
+    if (monthlyTarget <= 0) {
+        return new Array(daysInMonth).fill(0);
+    }
+
+    const dayWeights = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+        dayWeights.push(getDayWeight(new Date(year, month - 1, day), weights));
+    }
+    return distribute(monthlyTarget, dayWeights);
+}
+
+/**
+ * 金額を係数に比例して整数配分（最大剰余法で端数を調整し、合計を一致させる）
+ * @param {number} amount - 配分する金額
+ * @param {number[]} weights - 係数
+ * @returns {number[]} 配分結果
+ */
+function distribute(amount, weights) {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (totalWeight <= 0) {
+        return distribute(amount, weights.map(() => 1));
+    }
+
+    const exact = weights.map(w => amount * w / totalWeight);
+    const result = exact.map(Math.floor);
+    let remainder = Math.round(amount - result.reduce((sum, v) => sum + v, 0));
+
+    // 端数の大きい日から1円ずつ加算
+    const order = exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction);
+    for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+        result[order[i].index] += 1;
+    }
+
+    return result;
+}
+
+/**
+ * 当日入力データから売上実績を計算
+ * @param {Object} input - 当日入力データ
+ * @returns {number} 売上実績（デイユース + 宿泊）
+ */
+export function calculateRecordedRevenue(input) {
+    if (!input) return 0;
+    const dayuse = (input.dayuseCount || 0) * (input.dayuseAvgPrice || 0);
+    const stay = (input.stayCount || 0) * (input.stayAvgPrice || 0);
+    return dayuse + stay;
+}
+
+/**
+ * 日次目標の計算結果
+ * @typedef {Object} DailyTargetResult
+ * @property {number} flatTarget - 配分係数による日次目標
+ * @property {number} pacedTarget - ペース配分後の日次目標
+ * @property {number} recordedRevenue - 月初から前日までの売上実績
+ * @property {number} expectedRevenue - 月初から前日までの目標累計
+ * @property {number} gap - 月初からの差異（実績 − 目標累計、マイナスは未達）
+ * @property {number} remainingDays - 対象日を含む残り日数
+ */
+
+/**
+ * 配分係数による日次目標とペース配分の日次目標を計算
+ * ペース配分 = (月間目標 − 前日までの実績) を対象日以降の日に配分係数で按分
+ * @param {number} monthlyTarget - 月間目標
+ * @param {string} dateStr - 対象日 (YYYY-MM-DD)
+ * @param {Object} dailyInputs - 対象月の当日入力データ { 'YYYY-MM-DD': input }
+ * @param {DayWeights} [weights] - 配分係数（省略時は均等割）
+ * @returns {DailyTargetResult} 計算結果
+ */
+export function calculateDailyTargets(monthlyTarget, dateStr, dailyInputs, weights = EVEN_DAY_WEIGHTS) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const remainingDays = daysInMonth - day + 1;
+
+    if (monthlyTarget <= 0) {
+        return {
+            flatTarget: 0,
+            pacedTarget: 0,
+            recordedRevenue: 0,
+            expectedRevenue: 0,
+            gap: 0,
+            remainingDays,
+        };
+    }
+
+    const schedule = splitMonthlyTarget(monthlyTarget, year, month, weights);
+    const flatTarget = schedule[day - 1];
+
+    // 対象日より前の実績を合計
+    const recordedRevenue = Object.entries(dailyInputs)
+        .filter(([inputDate]) => inputDate < dateStr)
+        .reduce((sum, [, input]) => sum + calculateRecordedRevenue(input), 0);
+
+    const expectedRevenue = schedule.slice(0, day - 1).reduce((sum, v) => sum + v, 0);
+
+    // 残額を対象日以降の日へ配分係数で按分
+    const remainingWeights = [];
+    for (let d = day; d <= daysInMonth; d++) {
+        remainingWeights.push(getDayWeight(new Date(year, month - 1, d), weights));
+    }
+    const pacedTarget = distribute(Math.max(0, monthlyTarget - recordedRevenue), remainingWeights)[0];
+
+    return {
+        flatTarget,
+        pacedTarget,
+        recordedRevenue,
+        expectedRevenue,
+        gap: recordedRevenue - expectedRevenue,
+        remainingDays,
+    };
+}
+
+/**
+ * 過去のデイユース実績から配分係数を算出
+ * 曜日別・祝日の平均売上を、曜日平均が1になるよう正規化
+ * @param {Array} dayuseData - 過去のデイユースデータ
+ * @returns {Promise<DayWeights|null>} 配分係数（データがない場合null）
+ */
+export async function deriveDayWeights(dayuseData) {
+    if (!dayuseData || dayuseData.length === 0) {
+        return null;
+    }
+
+    // 過去データの年の祝日をプリロード
+    const years = new Set(dayuseData.map(item => new Date(item.date).getFullYear()));
+    await Promise.all([...years].filter(Number.isFinite).map(preloadHolidays));
+
+    const stats = Object.values(getDayOfWeekStats(dayuseData))
+        .sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+    const mean = stats.reduce((sum, s) => sum + s.avgRevenue, 0) / stats.length;
+    if (mean <= 0) {
+        return null;
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const holidayStats = getHolidayStats(dayuseData);
+
+    return {
+        weekdays: stats.map(s => round(s.avgRevenue / mean)),
+        // 祝日データがない場合は土曜日と同じ係数
+        holiday: holidayStats
+            ? round(holidayStats.avgRevenue / mean)
+            : round(stats[6].avgRevenue / mean),
+    };
+}
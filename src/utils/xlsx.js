@@ -0,0 +1,382 @@
+/**
+ * Excel（.xlsx）読み込み
+ * .xlsx はXMLファイルをZIPでまとめた形式。ZIPの展開はブラウザ標準の DecompressionStream で行い、
+ * XMLは必要な要素だけを読み取る（DOMParser が使えない Web Worker 内でも動作させるため）
+ */
+
+// ZIPの署名
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// 旧形式（.xls）・パスワード付きファイルの先頭バイト（OLE2複合ドキュメント）
+const OLE2_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0];
+
+// 日付・時刻を表す組み込みの表示形式ID（日本語版の和暦などを含む）
+const BUILTIN_DATE_FORMATS = new Set([
+    14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+    45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+]);
+
+// Excelの日付シリアル値の起点（1900年方式。1900/2/29が存在する扱いのため12/30起点）
+const EXCEL_EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EXCEL_EPOCH_1904 = Date.UTC(1904, 0, 1);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * ZIPの中身の一覧を読み込む
+ * @param {Uint8Array} bytes - ファイルの内容
+ * @returns {Map<string, Object>} ファイル名 → { method, compressedSize, offset }
+ */
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // 末尾のコメント（最大64KB）を考慮して中央ディレクトリ終端を探す
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Excelファイルを読み込めませんでした（形式が正しくありません）');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Excelファイルを読み込めませんでした（ファイルが壊れています）');
+        }
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        entries.set(name, {
+            method: view.getUint16(position + 10, true),
+            compressedSize: view.getUint32(position + 20, true),
+            offset: view.getUint32(position + 42, true),
+        });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * ZIP内のファイルを展開してテキストとして取得
+ * @param {Uint8Array} bytes - ZIP全体
+ * @param {Object} entry - readZipEntries の要素
+ * @returns {Promise<string>}
+ */
+async function extractText(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_FILE_HEADER) {
+        throw new Error('Excelファイルを読み込めませんでした（ファイルが壊れています）');
+    }
+    const nameLength = view.getUint16(entry.offset + 26, true);
+    const extraLength = view.getUint16(entry.offset + 28, true);
+    const start = entry.offset + 30 + nameLength + extraLength;
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error('Excelファイルを読み込めませんでした（未対応の圧縮形式です）');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+// XMLの定義済み実体参照
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * XMLの文字参照・実体参照を元の文字に戻す
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const isHex = entity[1].toLowerCase() === 'x';
+            return String.fromCodePoint(parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * 要素（開始〜終了タグ、または空要素）を探す正規表現
+ * 名前空間の接頭辞（x:row など）も許容する
+ * @param {string} name - 要素名
+ * @returns {RegExp} グループ1: 属性, グループ2: 中身
+ */
+function elementPattern(name) {
+    return new RegExp(
+        `<(?:[\\w.-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>)`,
+        'g'
+    );
+}
+
+/**
+ * 属性を読み取る（名前空間の接頭辞は除く）
+ * @param {string} text - 開始タグ内の属性部分
+ * @returns {Object} { 属性名: 値 }
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    for (const match of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        const name = match[1].includes(':') ? match[1].split(':').pop() : match[1];
+        attributes[name] = decodeXmlText(match[2] ?? match[3]);
+    }
+    return attributes;
+}
+
+/**
+ * 要素の一覧を取得
+ * @param {string} xml - XMLテキスト
+ * @param {string} name - 要素名
+ * @returns {Array} [{ attributes, body }]
+ */
+function findElements(xml, name) {
+    return Array.from(xml.matchAll(elementPattern(name)), (match) => ({
+        attributes: parseAttributes(match[1]),
+        body: match[2] ?? '',
+    }));
+}
+
+/**
+ * 要素内のテキストを連結して取得（<t> 要素）
+ * @param {string} xml
+ * @returns {string}
+ */
+function readText(xml) {
+    return findElements(xml, 't').map((t) => decodeXmlText(t.body)).join('');
+}
+
+/**
+ * 共有文字列の一覧を取得（ふりがな <rPh> は除く）
+ * @param {string|null} xml - sharedStrings.xml
+ * @returns {string[]}
+ */
+function readSharedStrings(xml) {
+    if (!xml) return [];
+    return findElements(xml, 'si').map((si) => readText(si.body.replace(elementPattern('rPh'), '')));
+}
+
+/**
+ * 表示形式が日付・時刻かどうか
+ * @param {string} formatCode - 表示形式
+ * @returns {boolean}
+ */
+function isDateFormatCode(formatCode) {
+    // 文字列リテラル・色や通貨記号の指定（[...]）を除いて判定
+    const code = formatCode.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '').replace(/\\./g, '');
+    return /[ymdhs]/i.test(code);
+}
+
+/**
+ * スタイル番号ごとに日付形式かどうかを取得
+ * @param {string|null} xml - styles.xml
+ * @returns {boolean[]} cellXfs の順
+ */
+function readDateStyles(xml) {
+    if (!xml) return [];
+    const customFormats = new Map(
+        findElements(xml, 'numFmt').map(({ attributes }) => [
+            Number(attributes.numFmtId),
+            attributes.formatCode || '',
+        ])
+    );
+    const [cellXfs] = findElements(xml, 'cellXfs');
+    if (!cellXfs) return [];
+
+    return findElements(cellXfs.body, 'xf').map(({ attributes }) => {
+        const id = Number(attributes.numFmtId || 0);
+        return customFormats.has(id)
+            ? isDateFormatCode(customFormats.get(id))
+            : BUILTIN_DATE_FORMATS.has(id);
+    });
+}
+
+/**
+ * 日付シリアル値を文字列に変換
+ * 日付のみ → YYYY-MM-DD、時刻のみ → HH:MM、両方 → YYYY-MM-DD HH:MM
+ * @param {number} serial - シリアル値
+ * @param {boolean} date1904 - 1904年方式のブックならtrue
+ * @returns {string}
+ */
+export function excelSerialToString(serial, date1904 = false) {
+    let epoch = date1904 ? EXCEL_EPOCH_1904 : EXCEL_EPOCH_1900;
+    // 1900年方式で存在しない1900/2/29（60）より前は1日ずれる
+    if (!date1904 && serial < 61) {
+        epoch += MS_PER_DAY;
+    }
+    const date = new Date(epoch + Math.round(serial * MS_PER_DAY / 60000) * 60000);
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+
+    if (serial < 1) return time;
+    return Number.isInteger(serial) ? day : `${day} ${time}`;
+}
+
+/**
+ * セル参照（A1形式）の列番号を取得
+ * @param {string} ref - 例: "AB12"
+ * @returns {number} 0始まりの列番号
+ */
+function columnIndexOf(ref) {
+    const letters = ref.match(/^[A-Z]+/)?.[0] || '';
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * ブックを開く
+ * @param {Uint8Array} bytes - .xlsx ファイルの内容
+ * @returns {Promise<Object>} { sheetNames: string[], ... } readSheet に渡す
+ */
+export async function openWorkbook(bytes) {
+    if (OLE2_SIGNATURE.every((b, i) => bytes[i] === b)) {
+        throw new Error('パスワード付きのファイル、または旧形式（.xls）のファイルは読み込めません。.xlsx形式で保存し直してください');
+    }
+
+    const entries = readZipEntries(bytes);
+    const readXml = async (path) => {
+        const entry = entries.get(path);
+        return entry ? extractText(bytes, entry) : null;
+    };
+
+    const workbook = await readXml('xl/workbook.xml');
+    const rels = await readXml('xl/_rels/workbook.xml.rels');
+    if (!workbook || !rels) {
+        throw new Error('Excelファイルを読み込めませんでした（ブックの情報がありません）');
+    }
+
+    const targets = new Map(
+        findElements(rels, 'Relationship').map(({ attributes }) => [attributes.Id, attributes.Target])
+    );
+    const sheets = findElements(workbook, 'sheet').map(({ attributes }) => {
+        const target = targets.get(attributes.id) || '';
+        return {
+            name: attributes.name,
+            path: target.startsWith('/') ? target.slice(1) : `xl/${target}`,
+        };
+    });
+    if (sheets.length === 0) {
+        throw new Error('シートがありません');
+    }
+
+    const [workbookPr] = findElements(workbook, 'workbookPr');
+    const date1904 = ['1', 'true'].includes(workbookPr?.attributes.date1904);
+
+    return {
+        sheetNames: sheets.map((sheet) => sheet.name),
+        sheets,
+        date1904,
+        sharedStrings: readSharedStrings(await readXml('xl/sharedStrings.xml')),
+        dateStyles: readDateStyles(await readXml('xl/styles.xml')),
+        readXml,
+    };
+}
+
+// 進捗を通知する間隔（行数）
+const PROGRESS_INTERVAL_ROWS = 1000;
+
+/**
+ * シートのセル値を読み込む（日付は文字列に変換、数値は表示形式を除いた値）
+ * @param {Object} workbook - openWorkbook の戻り値
+ * @param {string} sheetName - シート名
+ * @param {(ratio: number) => void} [onProgress] - 進捗（0〜1）
+ * @returns {Promise<Array>} [{ line: 行番号, values: セル値 }]（空行は除く）
+ */
+export async function readSheet(workbook, sheetName, onProgress) {
+    const sheet = workbook.sheets.find((s) => s.name === sheetName);
+    const xml = sheet && await workbook.readXml(sheet.path);
+    if (!xml) {
+        throw new Error(`シート「${sheetName}」を読み込めませんでした`);
+    }
+
+    const rows = [];
+    let rowIndex = 0;
+    for (const rowMatch of xml.matchAll(elementPattern('row'))) {
+        rowIndex += 1;
+        if (onProgress && rowIndex % PROGRESS_INTERVAL_ROWS === 0) {
+            onProgress(rowMatch.index / xml.length);
+        }
+
+        const line = Number(parseAttributes(rowMatch[1]).r) || rowIndex;
+        const values = [];
+        let nextColumn = 0;
+
+        findElements(rowMatch[2] ?? '', 'c').forEach(({ attributes, body }) => {
+            const column = attributes.r ? columnIndexOf(attributes.r) : nextColumn;
+            nextColumn = column + 1;
+
+            const type = attributes.t || 'n';
+            const [v] = findElements(body, 'v');
+            const raw = v ? decodeXmlText(v.body) : '';
+            let value;
+            if (type === 's') {
+                value = workbook.sharedStrings[Number(raw)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = readText(body);
+            } else if (type === 'b') {
+                value = raw === '1' ? 'TRUE' : 'FALSE';
+            } else if (type === 'n' && raw !== '' && workbook.dateStyles[Number(attributes.s || 0)]) {
+                value = excelSerialToString(Number(raw), workbook.date1904);
+            } else {
+                // 数値・数式の文字列結果・日付（t="d"）・エラー値はそのまま
+                value = raw;
+            }
+
+            while (values.length < column) values.push('');
+            values[column] = value;
+        });
+
+        // 末尾の空セルを除き、空行は読み飛ばす
+        while (values.length > 0 && String(values[values.length - 1]).trim() === '') {
+            values.pop();
+        }
+        if (values.length > 0) {
+            rows.push({ line, values });
+        }
+    }
+    onProgress?.(1);
+
+    return rows;
+}
+
+/**
+ * シートの行を表形式（1行目が列名）に変換
+ * Excelは末尾の空セルを保存しないため、列数が足りない行は空欄で補う
+ * @param {Array} rows - readSheet の戻り値
+ * @returns {Object} { headers, rows: [{ line, values }] }（parseCSV と同じ形）
+ */
+export function sheetToTable(rows) {
+    const [header, ...dataRows] = rows;
+    if (!header || dataRows.length === 0) {
+        throw new Error('ヘッダー行とデータ行が必要です');
+    }
+    const headers = header.values.map((h) => String(h).trim());
+
+    return {
+        headers,
+        rows: dataRows.map(({ line, values }) => ({
+            line,
+            values: values.length < headers.length
+                ? [...values, ...Array(headers.length - values.length).fill('')]
+                : values,
+        })),
+    };
+}
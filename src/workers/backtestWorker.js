@@ -0,0 +1,43 @@
+/**
+ * 予測精度の検証（バックテスト）ワーカー
+ * 過去の各日を予測方法ごとに予測し直すため、データが多いと時間がかかる。画面が固まらないよう別スレッドで行う
+ *
+ * 受信: { id, type, ...引数 }
+ * - compare { dayuseData, year, halfLifeDays } 祝日を読み込み、すべての予測方法で検証して比較する
+ * 送信:
+ * - { id, type: 'progress', ratio }   進捗（0〜1）
+ * - { id, type: 'result', value }     compareMethods の戻り値
+ * - { id, type: 'error', message }
+ */
+
+import { initializePrediction } from '../utils/prediction';
+import { compareMethods } from '../utils/backtest';
+
+// 進捗を送る間隔（全体に対する割合）
+const PROGRESS_STEP = 0.01;
+
+self.onmessage = async (event) => {
+    const { id, type, ...args } = event.data;
+    let lastRatio = 0;
+    const onProgress = (ratio) => {
+        if (ratio - lastRatio < PROGRESS_STEP && ratio < 1) return;
+        lastRatio = ratio;
+        self.postMessage({ id, type: 'progress', ratio });
+    };
+
+    try {
+        let value;
+        switch (type) {
+            case 'compare':
+                // 祝日のキャッシュは画面と共有されないため、ワーカー内で読み込む
+                await initializePrediction(args.year, args.dayuseData);
+                value = compareMethods(args.dayuseData, args.halfLifeDays, onProgress);
+                break;
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+        self.postMessage({ id, type: 'result', value });
+    } catch (e) {
+        self.postMessage({ id, type: 'error', message: e.message || '検証に失敗しました' });
+    }
+};
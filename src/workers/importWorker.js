@@ -0,0 +1,167 @@
+/**
+ * 取り込みファイルの解析ワーカー
+ * 大きなファイルでも画面が固まらないよう、CSV / Excel の解析と列の対応付け・検証を別スレッドで行う
+ *
+ * 受信: { id, type, ...引数 }
+ * - parseCsv   { file, encoding? }    CSVを分割して読み込む（encoding省略時は自動判定）
+ * - openXlsx   { file }               Excelのブックを開く
+ * - readSheet  { sheetName }          開いたブックのシートを読み込む
+ * - setForeignIds { ids }            他のホテルに登録済みのID（[[id, hotelId], ...]、異常値チェック用）
+ * - map        { mapping, importType } 対応付けを適用してプレビュー用の要約を返す（デイユースは異常値も）
+ * - collect    { mapping, importType, anomalyActions } 対応付けと異常値の扱いを適用して取り込むデータを返す
+ * 送信:
+ * - { id, type: 'progress', ratio }   進捗（0〜1）
+ * - { id, type: 'result', value }
+ * - { id, type: 'error', message }
+ */
+
+import { createRecordParser, detectDelimiter, recordsToTable } from '../utils/csv';
+import { detectEncoding } from '../utils/encoding';
+import { openWorkbook, readSheet, sheetToTable } from '../utils/xlsx';
+import { applyMapping, summarizeMapping } from '../utils/csvMapping';
+import { detectAnomalies, applyAnomalyActions, summarizeAnomalies } from '../utils/anomalies';
+
+// 文字コード・区切り文字の判定に使う先頭部分のサイズ
+const SAMPLE_SIZE = 64 * 1024;
+
+// 文字コード確認用に返す行数
+const TEXT_PREVIEW_LINES = 3;
+
+// 対応付けのプレビューに含める行数
+const PREVIEW_ROWS = 5;
+
+// 異常値の種類ごとに表示する例の件数
+const ANOMALY_EXAMPLES = 3;
+
+// 読み込んだ表（列の対応付けで繰り返し使う）
+let table = null;
+// 開いたExcelのブック（シートの切り替えで使う）
+let workbook = null;
+// 他のホテルに登録済みのID → ホテルID
+let foreignIds = new Map();
+
+/**
+ * CSVを分割して読み込む
+ * @param {File} file
+ * @param {string} [encoding] - 文字コード（省略時は自動判定）
+ * @param {(ratio: number) => void} onProgress
+ * @returns {Promise<Object>} { headers, rowCount, delimiter, encoding, detectedEncoding, textPreview }
+ */
+async function parseCsv(file, encoding, onProgress) {
+    const sample = new Uint8Array(await file.slice(0, SAMPLE_SIZE).arrayBuffer());
+    const detectedEncoding = detectEncoding(sample);
+    const usedEncoding = encoding || detectedEncoding;
+    const sampleText = new TextDecoder(usedEncoding).decode(sample, { stream: true });
+    const delimiter = detectDelimiter(sampleText);
+
+    const decoder = new TextDecoder(usedEncoding);
+    const parser = createRecordParser(delimiter);
+    const records = [];
+    const append = (parsed) => {
+        parsed.forEach((record) => records.push(record));
+    };
+
+    const reader = file.stream().getReader();
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.length;
+        append(parser.push(decoder.decode(value, { stream: true })));
+        onProgress(file.size > 0 ? loaded / file.size : 1);
+    }
+    append(parser.push(decoder.decode()));
+    append(parser.end());
+
+    table = { ...recordsToTable(records), delimiter };
+    return {
+        headers: table.headers,
+        rowCount: table.rows.length,
+        delimiter,
+        encoding: usedEncoding,
+        detectedEncoding,
+        textPreview: sampleText.split(/\r\n|\r|\n/).slice(0, TEXT_PREVIEW_LINES).join('\n'),
+    };
+}
+
+/**
+ * Excelのブックを開く
+ * @param {File} file
+ * @returns {Promise<Object>} { sheetNames }
+ */
+async function openXlsx(file) {
+    table = null;
+    workbook = await openWorkbook(new Uint8Array(await file.arrayBuffer()));
+    return { sheetNames: workbook.sheetNames };
+}
+
+/**
+ * 開いたブックのシートを読み込む
+ * @param {string} sheetName
+ * @param {(ratio: number) => void} onProgress
+ * @returns {Promise<Object>} { headers, rowCount, delimiter }
+ */
+async function readXlsxSheet(sheetName, onProgress) {
+    table = null;
+    const rows = await readSheet(workbook, sheetName, onProgress);
+    table = { ...sheetToTable(rows), delimiter: ',' };
+    return { headers: table.headers, rowCount: table.rows.length, delimiter: table.delimiter };
+}
+
+/**
+ * 読み込んだ表に対応付けを適用
+ * @param {Object} mapping
+ * @param {string} importType - 取り込みの種類
+ * @returns {Object} applyMapping の戻り値
+ */
+function mapTable(mapping, importType) {
+    if (!table) {
+        throw new Error('ファイルが読み込まれていません');
+    }
+    return applyMapping(table.headers, table.rows, mapping, importType);
+}
+
+self.onmessage = async (event) => {
+    const { id, type, ...args } = event.data;
+    const onProgress = (ratio) => self.postMessage({ id, type: 'progress', ratio });
+
+    try {
+        let value;
+        switch (type) {
+            case 'parseCsv':
+                value = await parseCsv(args.file, args.encoding, onProgress);
+                break;
+            case 'openXlsx':
+                value = await openXlsx(args.file);
+                break;
+            case 'readSheet':
+                value = await readXlsxSheet(args.sheetName, onProgress);
+                break;
+            case 'setForeignIds':
+                foreignIds = new Map(args.ids);
+                value = null;
+                break;
+            case 'map': {
+                const result = mapTable(args.mapping, args.importType);
+                value = summarizeMapping(result, PREVIEW_ROWS);
+                if (args.importType === 'dayuse') {
+                    const anomalies = detectAnomalies(result.data, { foreignIds });
+                    value.anomalies = summarizeAnomalies(anomalies, result, ANOMALY_EXAMPLES);
+                }
+                break;
+            }
+            case 'collect': {
+                const result = mapTable(args.mapping, args.importType);
+                value = args.importType === 'dayuse'
+                    ? applyAnomalyActions(result.data, detectAnomalies(result.data, { foreignIds }), args.anomalyActions).data
+                    : result.data;
+                break;
+            }
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+        self.postMessage({ id, type: 'result', value });
+    } catch (e) {
+        self.postMessage({ id, type: 'error', message: e.message || '読み込みに失敗しました' });
+    }
+};